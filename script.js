@@ -7,10 +7,19 @@
 class Memory {
     constructor() {
         this.data = new Uint8Array(65536);
+        this.journal = null; // When set, receives (addr, old value) pairs for every write
+        this.watcher = null; // WatchpointManager while watchpoints are active
+        this.tracer = null; // TraceRecorder while an instruction is being traced
     }
     reset() { this.data.fill(0); }
-    read(addr) { return this.data[addr & 0xFFFF]; }
+    read(addr) {
+        if (this.watcher) this.watcher.memRead(addr & 0xFFFF, this.data[addr & 0xFFFF]);
+        return this.data[addr & 0xFFFF];
+    }
     write(addr, val) {
+        if (this.journal) this.journal.push(addr & 0xFFFF, this.data[addr & 0xFFFF]);
+        if (this.watcher) this.watcher.memWrite(addr & 0xFFFF, this.data[addr & 0xFFFF], val & 0xFF);
+        if (this.tracer) this.tracer.memWrite(addr & 0xFFFF, val & 0xFF);
         this.data[addr & 0xFFFF] = val & 0xFF;
         if (addr >= 0x8000 && typeof Main !== 'undefined' && Main.logEnabled) {
             console.log(`MEM: Write 0x${addr.toString(16)} <= ${val}`);
@@ -19,33 +28,99 @@ class Memory {
     load(addr, bytes) {
         for (let i = 0; i < bytes.length; i++) this.write(addr + i, bytes[i]);
     }
+    // Save state: the 64 KB image as base64 keeps the JSON blob compact
+    getState() {
+        let bin = '';
+        for (let i = 0; i < this.data.length; i += 0x1000) {
+            bin += String.fromCharCode.apply(null, this.data.subarray(i, i + 0x1000));
+        }
+        return btoa(bin);
+    }
+    setState(s) {
+        const bin = atob(s);
+        if (bin.length !== this.data.length) throw new Error(`Invalid memory image: ${bin.length} bytes`);
+        for (let i = 0; i < bin.length; i++) this.data[i] = bin.charCodeAt(i);
+    }
 }
 
 class IOController {
     constructor() {
         this.outHandlers = new Map();
         this.inHandlers = new Map();
+        this.outHook = null; // Called before every OUT (port, value)
+        this.watcher = null; // WatchpointManager while watchpoints are active
+        this.tracer = null; // TraceRecorder while an instruction is being traced
     }
     reset() { }
     bindCPU(cpu) { this.cpu = cpu; }
     onOut(port, fn) { this.outHandlers.set(port, fn); }
     onIn(port, fn) { this.inHandlers.set(port, fn); }
     out(port, val) {
+        if (this.outHook) this.outHook(port, val);
+        if (this.watcher) this.watcher.ioOut(port & 0xFF, val & 0xFF);
+        if (this.tracer) this.tracer.ioOut(port & 0xFF, val & 0xFF);
         const h = this.outHandlers.get(port);
         if (h) h(val);
     }
     in(port) {
         const h = this.inHandlers.get(port);
-        return h ? h() : 0xFF;
+        const v = h ? h() : 0xFF;
+        if (this.watcher) this.watcher.ioIn(port & 0xFF, v & 0xFF);
+        if (this.tracer) this.tracer.ioIn(port & 0xFF, v & 0xFF);
+        return v;
+    }
+    /**
+     * Assert the INT line on behalf of a device.
+     * @param {number} data - Byte the device places on the data bus during acknowledge:
+     *   the instruction executed in IM 0, or the vector low byte in IM 2.
+     *   0xFF (floating bus) makes IM 0 behave like RST 38H.
+     */
+    triggerInterrupt(data = 0xFF) {
+        if (this.cpu) {
+            if (typeof Main !== 'undefined' && Main.logEnabled) console.log(`IOController: Triggering Interrupt (bus 0x${(data & 0xFF).toString(16)})`);
+            this.cpu.interrupt(data);
+        }
     }
-    triggerInterrupt() {
+    /**
+     * Pulse the NMI line. The CPU vectors to 0x0066 even when interrupts are disabled.
+     */
+    triggerNMI() {
         if (this.cpu) {
-            if (typeof Main !== 'undefined' && Main.logEnabled) console.log('IOController: Triggering Interrupt');
-            this.cpu.interrupt();
+            if (typeof Main !== 'undefined' && Main.logEnabled) console.log('IOController: Triggering NMI');
+            this.cpu.nmi();
         }
     }
 }
 
+// T-states per unprefixed opcode. Conditional branches list the not-taken cost;
+// execute() adds the extra when the branch is taken. CB/ED are timed in execute().
+const T_STATES = [
+    //  0   1   2   3   4   5   6   7   8   9   A   B   C   D   E   F
+    4, 10, 7, 6, 4, 4, 7, 4, 4, 11, 7, 6, 4, 4, 7, 4, // 0x00
+    8, 10, 7, 6, 4, 4, 7, 4, 12, 11, 7, 6, 4, 4, 7, 4, // 0x10
+    7, 10, 16, 6, 4, 4, 7, 4, 7, 11, 16, 6, 4, 4, 7, 4, // 0x20
+    7, 10, 13, 6, 11, 11, 10, 4, 7, 11, 13, 6, 4, 4, 7, 4, // 0x30
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0x40
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0x50
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0x60
+    7, 7, 7, 7, 7, 7, 4, 7, 4, 4, 4, 4, 4, 4, 7, 4, // 0x70
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0x80
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0x90
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0xA0
+    4, 4, 4, 4, 4, 4, 7, 4, 4, 4, 4, 4, 4, 4, 7, 4, // 0xB0
+    5, 10, 10, 10, 10, 11, 7, 11, 5, 10, 10, 0, 10, 17, 7, 11, // 0xC0
+    5, 10, 10, 11, 10, 11, 7, 11, 5, 4, 10, 11, 10, 0, 7, 11, // 0xD0
+    5, 10, 10, 19, 10, 11, 7, 11, 5, 4, 10, 4, 10, 0, 7, 11, // 0xE0
+    5, 10, 10, 4, 10, 11, 7, 11, 5, 6, 10, 4, 10, 0, 7, 11  // 0xF0
+];
+
+// S, Z, Y (bit 5), X (bit 3) and P/V (even parity) flags for every 8-bit result
+const SZ53P = new Uint8Array(256);
+for (let i = 0; i < 256; i++) {
+    let p = i; p ^= p >> 4; p ^= p >> 2; p ^= p >> 1;
+    SZ53P[i] = (i & 0xA8) | (i === 0 ? 0x40 : 0) | ((p & 1) ? 0 : 0x04);
+}
+
 class Z80 {
     constructor(memory, io) {
         this.mem = memory;
@@ -60,9 +135,17 @@ class Z80 {
         this.iff1 = 0;
         this.im = 0;
         this.interruptPending = false;
+        this.interruptData = 0xFF; // Data bus byte supplied by the interrupting device
+        this.nmiPending = false;
+        this.eiDelay = false; // Set by EI to hold off INT for one instruction
         this.reg_prime = { A: 0, F: 0, B: 0, C: 0, D: 0, E: 0, H: 0, L: 0 };
         this.reg.I = 0; this.reg.R = 0;
         this.iff2 = 0;
+        this.cycles = 0; // Total T-states since reset
+        this.instrPC = 0; // Address of the instruction being executed by step()
+        this.displaced = false; // Set when an (IX+d)/(IY+d) operand was fetched
+        this.callStack = []; // Shadow call stack, innermost frame last
+        this.coverage = null; // Coverage recorder, when enabled
     }
 
     reset() {
@@ -72,20 +155,88 @@ class Z80 {
         this.reg.D = 0; this.reg.E = 0;
         this.reg.H = 0; this.reg.L = 0;
         this.reg.IX = 0; this.reg.IY = 0;
+        this.reg.I = 0; this.reg.R = 0;
         this.reg_prime = { A: 0, F: 0, B: 0, C: 0, D: 0, E: 0, H: 0, L: 0 };
         this.halted = false;
         this.halted = false;
         this.iff1 = 0; this.iff2 = 0;
         this.im = 0;
         this.interruptPending = false;
+        this.interruptData = 0xFF;
+        this.nmiPending = false;
+        this.eiDelay = false;
         this.prefix = 0; // 0=None, 1=IX, 2=IY
+        this.cycles = 0;
+        this.callStack = [];
+    }
+
+    // Save state: everything that survives between instructions (prefix/displaced are per-step scratch)
+    getState() {
+        return {
+            reg: { ...this.reg },
+            reg_prime: { ...this.reg_prime },
+            halted: this.halted,
+            iff1: this.iff1, iff2: this.iff2, im: this.im,
+            interruptPending: this.interruptPending,
+            interruptData: this.interruptData,
+            nmiPending: this.nmiPending,
+            eiDelay: this.eiDelay,
+            cycles: this.cycles,
+            callStack: this.callStack.slice() // Frames are never mutated, a shallow copy is enough
+        };
+    }
+    setState(s) {
+        Object.assign(this.reg, s.reg);
+        Object.assign(this.reg_prime, s.reg_prime);
+        this.halted = s.halted;
+        this.iff1 = s.iff1; this.iff2 = s.iff2; this.im = s.im;
+        this.interruptPending = s.interruptPending;
+        this.interruptData = s.interruptData;
+        this.nmiPending = s.nmiPending;
+        this.eiDelay = s.eiDelay;
+        this.cycles = s.cycles;
+        this.callStack = (s.callStack || []).slice();
+        this.prefix = 0;
+    }
+
+    /**
+     * Record a shadow call-stack frame once CALL/RST/an interrupt has pushed its return address.
+     * @param {string} type - 'call', 'rst', 'int' or 'nmi'.
+     * @param {number} ret - Return address that was pushed.
+     */
+    enterFrame(type, ret) {
+        if (this.callStack.length >= 256) this.callStack.shift(); // Code that never returns
+        this.callStack.push({ type, from: this.instrPC, target: this.reg.PC, ret, sp: this.reg.SP, diverged: null });
+    }
+
+    /**
+     * Match a RET/RETI/RETN against the shadow stack.
+     * @param {number} sp - SP the return address was popped from.
+     * @param {number} addr - Address that was popped.
+     */
+    leaveFrame(sp, addr) {
+        const cs = this.callStack;
+        // Frames below the popped slot were discarded with POP/LD SP and can never return
+        while (cs.length && cs[cs.length - 1].sp < sp) cs.pop();
+        const top = cs[cs.length - 1];
+        if (!top) return;
+        const hex = (n) => n.toString(16).toUpperCase().padStart(4, '0');
+        if (top.sp === sp && top.ret === addr) {
+            cs.pop();
+        } else if (!top.diverged) {
+            // From the frame's own slot the return address was overwritten (EX (SP),HL, a store);
+            // from another slot, typically a PUSH without a matching POP made RET jump to a pushed value.
+            // The frame stays, flagged, until a RET further up discards it.
+            const why = top.sp === sp ? `frame return address ${hex(top.ret)} was overwritten` : `frame return address is at ${hex(top.sp)}`;
+            cs[cs.length - 1] = { ...top, diverged: `RET at ${hex(this.instrPC)} popped ${hex(addr)} from SP ${hex(sp)}, ${why}` };
+        }
     }
 
     // Flags: S Z Y H X P/V N C
-    setZ(v) { if ((v & 0xFF) === 0) this.reg.F |= 0x40; else this.reg.F &= ~0x40; }
-    setS(v) { if (v & 0x80) this.reg.F |= 0x80; else this.reg.F &= ~0x80; }
 
     fetch() { return this.mem.read(this.reg.PC++); }
+    // Memory refresh: the low 7 bits of R count M1 cycles, bit 7 only changes via LD R, A
+    refresh() { this.reg.R = (this.reg.R & 0x80) | ((this.reg.R + 1) & 0x7F); }
     fetch16() {
         const l = this.fetch();
         const h = this.fetch();
@@ -199,43 +350,171 @@ class Z80 {
         if (res8 === 0) r.F |= 0x40; // Z
         if (res8 & 0x80) r.F |= 0x80; // S
 
-        // Output bits 3 and 5 are undocumented but often copy from Acc. Ignoring for simple Sim.
+        // Undocumented X/Y (bits 3 and 5) copy the result, or the operand for CP
+        r.F |= ((op === 7) ? val : res8) & 0x28;
 
         if (op !== 7) r.A = res8;
     }
 
-    interrupt() {
+    // 8-bit INC/DEC: C is preserved, V flags 0x7F->0x80 (0x80->0x7F for DEC)
+    inc8(v) {
+        const res = (v + 1) & 0xFF;
+        this.reg.F = (this.reg.F & 1) | (SZ53P[res] & ~0x04) | ((v & 0x0F) === 0x0F ? 0x10 : 0) | (v === 0x7F ? 0x04 : 0);
+        return res;
+    }
+    dec8(v) {
+        const res = (v - 1) & 0xFF;
+        this.reg.F = (this.reg.F & 1) | 0x02 | (SZ53P[res] & ~0x04) | ((v & 0x0F) === 0 ? 0x10 : 0) | (v === 0x80 ? 0x04 : 0);
+        return res;
+    }
+
+    // ADD HL/IX/IY, ss: S, Z and P/V are preserved; H is the carry out of bit 11; X/Y from the high byte
+    add16(a, b) {
+        const res = a + b;
+        this.reg.F = (this.reg.F & 0xC4) | ((res >> 8) & 0x28) | (((a ^ b ^ res) >> 8) & 0x10) | (res > 0xFFFF ? 1 : 0);
+        return res & 0xFFFF;
+    }
+
+    // ADC HL, ss / SBC HL, ss (ED prefix, always HL)
+    adc16(val, sub) {
+        const r = this.reg;
+        const hl = (r.H << 8) | r.L;
+        const res = sub ? hl - val - (r.F & 1) : hl + val + (r.F & 1);
+        const v = sub ? ((hl ^ val) & (hl ^ res) & 0x8000) : ((hl ^ ~val) & (hl ^ res) & 0x8000);
+        r.F = ((res >> 8) & 0xA8) | ((res & 0xFFFF) === 0 ? 0x40 : 0) | (((hl ^ val ^ res) >> 8) & 0x10) |
+            (v ? 0x04 : 0) | (sub ? 0x02 : 0) | ((res > 0xFFFF || res < 0) ? 1 : 0);
+        r.H = (res >> 8) & 0xFF; r.L = res & 0xFF;
+    }
+
+    // Undocumented flags of INI/IND/OUTI/OUTD (B already decremented).
+    // k is the transferred byte plus C+-1 (INx) or the new L (OUTx).
+    blockIOFlags(v, other) {
+        const r = this.reg;
+        const k = v + other;
+        r.F = (SZ53P[r.B] & ~0x04) | ((v & 0x80) ? 0x02 : 0) | (k > 0xFF ? 0x11 : 0) |
+            (SZ53P[(k & 7) ^ r.B] & 0x04);
+    }
+
+    interrupt(data = 0xFF) {
         // console.log(`CPU: Interrupt Request. IFF1=${this.iff1}`);
         // Latch interrupt request regardless of IFF1 (Fix for Reset period)
+        // HALT is left when the request is accepted in step(), not here
         this.interruptPending = true;
-        if (this.iff1) {
+        this.interruptData = data & 0xFF;
+    }
+
+    nmi() {
+        this.nmiPending = true;
+    }
+
+    // HALT with interrupts disabled can only be left by NMI or reset
+    isStopped() {
+        return this.halted && !this.iff1 && !this.nmiPending;
+    }
+
+    // An accepted interrupt resumes after the HALT the CPU is parked on
+    leaveHalt() {
+        if (this.halted) {
             this.halted = false;
+            this.reg.PC = (this.reg.PC + 1) & 0xFFFF;
         }
     }
 
+    /**
+     * Execute one instruction (or acknowledge a pending interrupt).
+     * @returns {number} T-states consumed, also accumulated in this.cycles.
+     */
     step() {
-        if (this.interruptPending && this.iff1) {
-            // console.log('CPU: Acknowledging Interrupt. jumping to ISR.');
+        this.instrPC = this.reg.PC;
+        // NMI is edge-triggered and takes priority over INT regardless of IFF1
+        if (this.nmiPending) {
+            this.nmiPending = false;
+            this.eiDelay = false;
+            this.refresh();
+            this.leaveHalt();
+            this.iff2 = this.iff1; // Preserved so RETN can restore it
             this.iff1 = 0;
+            const ret = this.reg.PC;
+            this.push(ret);
+            this.reg.PC = 0x0066;
+            this.enterFrame('nmi', ret);
+            this.cycles += 11;
+            return 11;
+        }
+
+        // INT is not accepted until the instruction following EI has completed
+        if (this.interruptPending && this.iff1 && !this.eiDelay) {
+            // console.log('CPU: Acknowledging Interrupt. jumping to ISR.');
+            this.iff1 = 0; this.iff2 = 0;
             this.interruptPending = false;
-            this.push(this.reg.PC);
-            if (this.im === 1) this.reg.PC = 0x0038;
-            return;
+            this.refresh();
+            this.leaveHalt();
+            const t = this.acknowledgeInterrupt(this.interruptData);
+            this.cycles += t;
+            return t;
         }
 
-        if (this.halted) return;
+        this.eiDelay = false;
+
+        // HALT keeps executing NOPs internally, PC stays on the HALT
+        if (this.halted) {
+            this.refresh();
+            this.cycles += 4;
+            return 4;
+        }
 
         let op = this.fetch();
+        this.refresh();
         this.prefix = 0;
+        let t = 0;
+        let prefixes = 0;
 
         // Loop for prefixes (support multiple prefixes? Just IX/IY for now implementation)
         while (op === 0xDD || op === 0xFD) {
             this.prefix = (op === 0xDD) ? 0xDD : 0xFD;
             op = this.fetch();
+            this.refresh();
+            prefixes++;
+            t += 4; // Each index prefix costs one extra M1 cycle
         }
 
-        this.execute(op);
+        t += this.execute(op);
+        if (this.coverage) this.coverage.record(this.instrPC, op, prefixes, this.reg.PC);
         // Prefix resets each step implicitly by the variable init above.
+        this.cycles += t;
+        return t;
+    }
+
+    /**
+     * Dispatch an accepted maskable interrupt according to the current mode.
+     * @param {number} data - Byte read from the data bus during the acknowledge cycle.
+     * @returns {number} T-states for the acknowledge and dispatch.
+     */
+    acknowledgeInterrupt(data) {
+        const r = this.reg;
+        if (this.im === 2) {
+            // Vector table entry at I:data holds the ISR address
+            const vec = (r.I << 8) | data;
+            const ret = r.PC;
+            this.push(ret);
+            r.PC = this.mem.read(vec) | (this.mem.read((vec + 1) & 0xFFFF) << 8);
+            this.enterFrame('int', ret);
+            return 19;
+        }
+        if (this.im === 1) {
+            const ret = r.PC;
+            this.push(ret);
+            r.PC = 0x0038;
+            this.enterFrame('int', ret);
+            return 13;
+        }
+        // IM 0: execute the bus byte as an instruction (normally RST n).
+        // Only single-byte instructions are supported; the acknowledge adds 2 wait states.
+        this.prefix = 0;
+        const depth = this.callStack.length;
+        const t = this.execute(data) + 2;
+        if (this.callStack.length > depth) this.callStack[this.callStack.length - 1].type = 'int';
+        return t;
     }
 
     // Helpers for Indexing
@@ -275,13 +554,21 @@ class Z80 {
         if (this.prefix === 0xDD || this.prefix === 0xFD) {
             const d = this.fetch(); // Displacement
             const off = d > 127 ? d - 256 : d;
+            this.displaced = true;
             return (this.getHL() + off) & 0xFFFF;
         }
         return (this.reg.H << 8) | this.reg.L;
     }
 
+    /**
+     * Execute a single opcode (prefix bytes already consumed by step()).
+     * @param {number} op - Opcode byte.
+     * @returns {number} T-states, excluding the DD/FD prefix fetch.
+     */
     execute(op) {
         const r = this.reg;
+        let t = T_STATES[op];
+        this.displaced = false;
         switch (op) {
             case 0x00: break; // NOP
 
@@ -321,26 +608,26 @@ class Z80 {
             } break;
 
             // 8-bit INC
-            case 0x04: r.B = (r.B + 1) & 0xFF; this.setZ(r.B); this.setS(r.B); break;
-            case 0x0C: r.C = (r.C + 1) & 0xFF; this.setZ(r.C); this.setS(r.C); break;
-            case 0x14: r.D = (r.D + 1) & 0xFF; this.setZ(r.D); this.setS(r.D); break;
-            case 0x1C: r.E = (r.E + 1) & 0xFF; this.setZ(r.E); this.setS(r.E); break;
-            case 0x24: { const v = (this.getH() + 1) & 0xFF; this.setH(v); this.setZ(v); this.setS(v); } break; // INC H
-            case 0x2C: { const v = (this.getL() + 1) & 0xFF; this.setL(v); this.setZ(v); this.setS(v); } break; // INC L
-            case 0x3C: r.A = (r.A + 1) & 0xFF; this.setZ(r.A); this.setS(r.A); break;
+            case 0x04: r.B = this.inc8(r.B); break;
+            case 0x0C: r.C = this.inc8(r.C); break;
+            case 0x14: r.D = this.inc8(r.D); break;
+            case 0x1C: r.E = this.inc8(r.E); break;
+            case 0x24: this.setH(this.inc8(this.getH())); break; // INC H (IXH/IYH)
+            case 0x2C: this.setL(this.inc8(this.getL())); break; // INC L (IXL/IYL)
+            case 0x3C: r.A = this.inc8(r.A); break;
             // INC (HL) (0x34)
-            case 0x34: { const addr = this.getAddrHL(); const v = (this.mem.read(addr) + 1) & 0xFF; this.mem.write(addr, v); this.setZ(v); this.setS(v); } break;
+            case 0x34: { const addr = this.getAddrHL(); this.mem.write(addr, this.inc8(this.mem.read(addr))); } break;
 
             // 8-bit DEC
-            case 0x05: r.B = (r.B - 1) & 0xFF; this.setZ(r.B); this.setS(r.B); break;
-            case 0x0D: r.C = (r.C - 1) & 0xFF; this.setZ(r.C); this.setS(r.C); break;
-            case 0x15: r.D = (r.D - 1) & 0xFF; this.setZ(r.D); this.setS(r.D); break;
-            case 0x1D: r.E = (r.E - 1) & 0xFF; this.setZ(r.E); this.setS(r.E); break;
-            case 0x25: { const v = (this.getH() - 1) & 0xFF; this.setH(v); this.setZ(v); this.setS(v); } break; // DEC H
-            case 0x2D: { const v = (this.getL() - 1) & 0xFF; this.setL(v); this.setZ(v); this.setS(v); } break; // DEC L
-            case 0x3D: r.A = (r.A - 1) & 0xFF; this.setZ(r.A); this.setS(r.A); break;
+            case 0x05: r.B = this.dec8(r.B); break;
+            case 0x0D: r.C = this.dec8(r.C); break;
+            case 0x15: r.D = this.dec8(r.D); break;
+            case 0x1D: r.E = this.dec8(r.E); break;
+            case 0x25: this.setH(this.dec8(this.getH())); break; // DEC H (IXH/IYH)
+            case 0x2D: this.setL(this.dec8(this.getL())); break; // DEC L (IXL/IYL)
+            case 0x3D: r.A = this.dec8(r.A); break;
             // DEC (HL) (0x35)
-            case 0x35: { const addr = this.getAddrHL(); const v = (this.mem.read(addr) - 1) & 0xFF; this.mem.write(addr, v); this.setZ(v); this.setS(v); } break;
+            case 0x35: { const addr = this.getAddrHL(); this.mem.write(addr, this.dec8(this.mem.read(addr))); } break;
 
             // 8-bit LD Immediate
             case 0x06: r.B = this.fetch(); break;
@@ -354,33 +641,27 @@ class Z80 {
             case 0x36: { const addr = this.getAddrHL(); const v = this.fetch(); this.mem.write(addr, v); } break;
 
             // Rotates (Acc)
-            case 0x07: { const b = (r.A >> 7); r.A = ((r.A << 1) | b) & 0xFF; r.F = (r.F & 0xEC) | b; } break; // RLCA
-            case 0x0F: { const b = r.A & 1; r.A = ((r.A >> 1) | (b << 7)) & 0xFF; r.F = (r.F & 0xEC) | b; } break; // RRCA
-            case 0x17: { const b = (r.A >> 7); const c = r.F & 1; r.A = ((r.A << 1) | c) & 0xFF; r.F = (r.F & 0xEC) | b; } break; // RLA
-            case 0x1F: { const b = r.A & 1; const c = r.F & 1; r.A = ((r.A >> 1) | (c << 7)) & 0xFF; r.F = (r.F & 0xEC) | b; } break; // RRA
+            // S, Z, P/V preserved; H, N cleared; X/Y from the result
+            case 0x07: { const b = (r.A >> 7); r.A = ((r.A << 1) | b) & 0xFF; r.F = (r.F & 0xC4) | (r.A & 0x28) | b; } break; // RLCA
+            case 0x0F: { const b = r.A & 1; r.A = ((r.A >> 1) | (b << 7)) & 0xFF; r.F = (r.F & 0xC4) | (r.A & 0x28) | b; } break; // RRCA
+            case 0x17: { const b = (r.A >> 7); const c = r.F & 1; r.A = ((r.A << 1) | c) & 0xFF; r.F = (r.F & 0xC4) | (r.A & 0x28) | b; } break; // RLA
+            case 0x1F: { const b = r.A & 1; const c = r.F & 1; r.A = ((r.A >> 1) | (c << 7)) & 0xFF; r.F = (r.F & 0xC4) | (r.A & 0x28) | b; } break; // RRA
 
             // 16-bit ADD (0x09...)
-            case 0x09: { const hl = this.getHL(); const v = (r.B << 8) | r.C; const res = hl + v; this.setHL(res & 0xFFFF); if (res > 0xFFFF) r.F |= 1; else r.F &= ~1; r.F &= ~0x02; if ((res & 0x800) ^ ((hl ^ v) & 0x800)) r.F |= 0x10; else r.F &= ~0x10; break; }
-            case 0x19: { const hl = this.getHL(); const v = (r.D << 8) | r.E; const res = hl + v; this.setHL(res & 0xFFFF); if (res > 0xFFFF) r.F |= 1; else r.F &= ~1; r.F &= ~0x02; if ((res & 0x800) ^ ((hl ^ v) & 0x800)) r.F |= 0x10; else r.F &= ~0x10; break; }
-            case 0x29: {
-                const hl = this.getHL(); const v = this.getHL(); const res = hl + v;
-                this.setHL(res & 0xFFFF);
-                if (res > 0xFFFF) r.F |= 1; else r.F &= ~1;
-                r.F &= ~0x02;
-                if ((res & 0x800) ^ ((hl ^ v) & 0x800)) r.F |= 0x10; else r.F &= ~0x10;
-                break;
-            }
-            case 0x39: { const hl = this.getHL(); const v = r.SP; const res = hl + v; this.setHL(res & 0xFFFF); if (res > 0xFFFF) r.F |= 1; else r.F &= ~1; r.F &= ~0x02; if ((res & 0x800) ^ ((hl ^ v) & 0x800)) r.F |= 0x10; else r.F &= ~0x10; break; }
+            case 0x09: this.setHL(this.add16(this.getHL(), (r.B << 8) | r.C)); break;
+            case 0x19: this.setHL(this.add16(this.getHL(), (r.D << 8) | r.E)); break;
+            case 0x29: { const hl = this.getHL(); this.setHL(this.add16(hl, hl)); } break; // ADD HL, HL / ADD IX, IX
+            case 0x39: this.setHL(this.add16(this.getHL(), r.SP)); break;
 
             // JR
             case 0x18: { const e = this.fetchSigned(); r.PC = (r.PC + e) & 0xFFFF; } break;
-            case 0x20: { const e = this.fetchSigned(); if (!(r.F & 0x40)) r.PC = (r.PC + e) & 0xFFFF; } break;
-            case 0x28: { const e = this.fetchSigned(); if (r.F & 0x40) r.PC = (r.PC + e) & 0xFFFF; } break;
-            case 0x30: { const e = this.fetchSigned(); if (!(r.F & 1)) r.PC = (r.PC + e) & 0xFFFF; } break;
-            case 0x38: { const e = this.fetchSigned(); if (r.F & 1) r.PC = (r.PC + e) & 0xFFFF; } break;
+            case 0x20: { const e = this.fetchSigned(); if (!(r.F & 0x40)) { r.PC = (r.PC + e) & 0xFFFF; t += 5; } } break;
+            case 0x28: { const e = this.fetchSigned(); if (r.F & 0x40) { r.PC = (r.PC + e) & 0xFFFF; t += 5; } } break;
+            case 0x30: { const e = this.fetchSigned(); if (!(r.F & 1)) { r.PC = (r.PC + e) & 0xFFFF; t += 5; } } break;
+            case 0x38: { const e = this.fetchSigned(); if (r.F & 1) { r.PC = (r.PC + e) & 0xFFFF; t += 5; } } break;
 
             // DJNZ
-            case 0x10: { const e = this.fetchSigned(); r.B = (r.B - 1) & 0xFF; if (r.B !== 0) r.PC = (r.PC + e) & 0xFFFF; } break;
+            case 0x10: { const e = this.fetchSigned(); r.B = (r.B - 1) & 0xFF; if (r.B !== 0) { r.PC = (r.PC + e) & 0xFFFF; t += 5; } } break;
 
             // LD 16-bit from/to Memory
             case 0x22: { const addr = this.fetch16(); const v = this.getHL(); this.mem.write(addr, v & 0xFF); this.mem.write(addr + 1, v >> 8); } break; // LD (nn), HL
@@ -390,35 +671,28 @@ class Z80 {
 
             // DAA (0x27)
             case 0x27: {
-                let a = r.A;
+                const a = r.A;
                 let corr = 0;
-                if ((r.F & 0x10) || (a & 0x0F) > 9) corr += 0x06;
-                if ((r.F & 1) || a > 0x99) { corr += 0x60; r.F |= 1; }
-                if (r.F & 0x02) { // Subtract (N=1)
-                    a = (a - corr) & 0xFF;
-                    if (!(r.F & 1)) r.F &= ~0x10; // Half Carry handling for Sub
-                } else { // Add (N=0)
-                    if ((a & 0x0F) > 9) r.F |= 0x10; else r.F &= ~0x10; // H
-                    a = (a + corr) & 0xFF;
-                }
-
-                r.A = a;
-                // Update Z, S, P/V (Parity)
-                r.F &= ~(0x80 | 0x40 | 0x04);
-                if (a === 0) r.F |= 0x40;
-                if (a & 0x80) r.F |= 0x80;
-                { let p = a; p ^= p >> 4; p ^= p >> 2; p ^= p >> 1; if (!(p & 1)) r.F |= 0x04; }
+                let c = r.F & 1;
+                if ((r.F & 0x10) || (a & 0x0F) > 9) corr |= 0x06;
+                if (c || a > 0x99) { corr |= 0x60; c = 1; }
+                const res = (r.F & 0x02) ? (a - corr) & 0xFF : (a + corr) & 0xFF;
+                // H is the carry/borrow out of the low nibble adjustment
+                const h = (a ^ res) & 0x10;
+                r.A = res;
+                r.F = SZ53P[res] | h | (r.F & 0x02) | c;
                 break;
             }
 
-            case 0x76: this.halted = true; break; // HALT
+            case 0x76: this.halted = true; r.PC = (r.PC - 1) & 0xFFFF; break; // HALT (PC stays on the HALT)
 
             // DI (0xF3)
-            case 0xF3: this.iff1 = 0; break;
+            case 0xF3: this.iff1 = 0; this.iff2 = 0; break;
 
             // EI (0xFB)
             case 0xFB:
                 this.iff1 = 1; this.iff2 = 1;
+                this.eiDelay = true;
                 break;
 
             // EX AF, AF' (0x08)
@@ -436,12 +710,18 @@ class Z80 {
             }
 
             // CPL (0x2F)
-            case 0x2F: r.A = (~r.A) & 0xFF; r.F |= 0x12; break; // Set H, N
+            case 0x2F: r.A = (~r.A) & 0xFF; r.F = (r.F & 0xC5) | 0x12 | (r.A & 0x28); break; // Set H, N
+
+            // SCF (0x37) / CCF (0x3F): X/Y from A, CCF moves the old C into H
+            case 0x37: r.F = (r.F & 0xC4) | (r.A & 0x28) | 1; break;
+            case 0x3F: r.F = ((r.F & 0xC5) | ((r.F & 1) << 4) | (r.A & 0x28)) ^ 1; break;
 
             // CB Prefix (Bit Manipulation)
             case 0xCB: {
                 let addr = 0;
                 let useIDX = false;
+                // The DDCB/FDCB sub opcode is read as data, so only plain CB refreshes again
+                if (!this.prefix) this.refresh();
                 if (this.prefix) {
                     const d = this.fetch();
                     const off = d > 127 ? d - 256 : d;
@@ -454,6 +734,11 @@ class Z80 {
                 const bit = (sub >> 3) & 7;
                 const mode = (sub >> 6) & 3;
 
+                // BIT only reads, so it is shorter on memory operands
+                if (useIDX) t = (mode === 1) ? 16 : 19;
+                else if (rIdx === 6) t = (mode === 1) ? 12 : 15;
+                else t = 8;
+
                 // Registers
                 let val = 0;
                 if (useIDX) val = this.mem.read(addr);
@@ -469,25 +754,20 @@ class Z80 {
                 }
 
                 if (mode === 1) { // BIT
-                    const z = (val & (1 << bit)) === 0;
-                    if (z) r.F |= 0x40; else r.F &= ~0x40; // Z
-                    r.F |= 0x10; // H
-                    r.F &= ~0x02; // N
+                    const m = val & (1 << bit);
+                    // S only for bit 7, P/V mirrors Z, H=1, N=0, C kept.
+                    // X/Y come from the operand, or from the high byte of the address for memory forms
+                    const xy = useIDX ? addr >> 8 : (rIdx === 6) ? r.H : val;
+                    r.F = (r.F & 1) | 0x10 | (m ? (m & 0x80) : 0x44) | (xy & 0x28);
                 } else {
                     // Modification Instructions (Write Back needed)
                     if (mode === 2) { // RES
                         val &= ~(1 << bit);
                     } else if (mode === 3) { // SET
                         val |= (1 << bit);
-                    } else if (mode === 0) { // Rotates/Shifts (RLC, RRC, RL, RR, SLA, SRA, SRL)
-                        // Map based on bit index logic (standard Z80 CB decoding)
-                        // bit field maps to op:
+                    } else if (mode === 0) { // Rotates/Shifts (RLC, RRC, RL, RR, SLA, SRA, SLL, SRL)
+                        // sub opcode structure: 00 ooo rrr
                         // 0=RLC, 1=RRC, 2=RL, 3=RR, 4=SLA, 5=SRA, 6=SLL(undoc), 7=SRL
-                        const startBit = bit; // Actually 'bit' var holds 3 bits (3-5) from opcode which is 'op' here
-                        // wait, sub opcode structure: 00 ooo rrr
-                        // mode 0 is top 2 bits 00.
-                        // Middle 3 bits are Op.
-                        // My 'bit' var comes from (sub >> 3) & 7. Correct.
                         const opType = bit;
                         const c = (r.F & 1);
                         let v = val;
@@ -511,22 +791,30 @@ class Z80 {
                         } else if (opType === 5) { // SRA
                             newC = v & 1;
                             v = ((v >> 1) | (v & 0x80)) & 0xFF;
+                        } else if (opType === 6) { // SLL (undocumented, shifts a 1 into bit 0)
+                            newC = (v >> 7) & 1;
+                            v = ((v << 1) | 1) & 0xFF;
                         } else if (opType === 7) { // SRL
                             newC = v & 1;
                             v = (v >> 1) & 0xFF;
                         }
 
                         val = v;
-                        r.F = (r.F & 0xFE) | newC; // Update C
-                        this.setZ(val);
-                        this.setS(val);
-                        r.F &= ~0x12; // Clear H, N (H is usually 0 for shifts, setZ handles P/V?)
-                        // setZ/setS logic check... assuming simplified flags
+                        r.F = SZ53P[val] | newC; // H=0, N=0
                     }
 
                     // Write Back
-                    if (useIDX) this.mem.write(addr, val);
-                    else {
+                    if (useIDX) {
+                        this.mem.write(addr, val);
+                        // Undocumented DDCB/FDCB forms also copy the result to a register (real H/L, not IXH/IXL)
+                        if (rIdx === 0) r.B = val;
+                        else if (rIdx === 1) r.C = val;
+                        else if (rIdx === 2) r.D = val;
+                        else if (rIdx === 3) r.E = val;
+                        else if (rIdx === 4) r.H = val;
+                        else if (rIdx === 5) r.L = val;
+                        else if (rIdx === 7) r.A = val;
+                    } else {
                         if (rIdx === 0) r.B = val;
                         else if (rIdx === 1) r.C = val;
                         else if (rIdx === 2) r.D = val;
@@ -540,70 +828,6 @@ class Z80 {
                 break;
             }
 
-            // LD r, n (8-bit)
-            case 0x3E: r.A = this.fetch(); break;
-            case 0x06: r.B = this.fetch(); break;
-            case 0x0E: r.C = this.fetch(); break;
-            case 0x16: r.D = this.fetch(); break;
-            case 0x1E: r.E = this.fetch(); break;
-            case 0x26: this.setH(this.fetch()); break; // LD H, n
-            case 0x2E: this.setL(this.fetch()); break; // LD L, n
-
-            // LD rp, nn (16-bit)
-            case 0x01: { const v = this.fetch16(); r.B = v >> 8; r.C = v & 0xFF; } break; // BC
-            case 0x11: { const v = this.fetch16(); r.D = v >> 8; r.E = v & 0xFF; } break; // DE
-            case 0x21: { const v = this.fetch16(); r.H = v >> 8; r.L = v & 0xFF; } break; // HL
-            case 0x31: { r.SP = this.fetch16(); } break; // SP
-
-            // LD (nn), HL (0x22) / LD HL, (nn) (0x2A)
-            case 0x22: { const addr = this.fetch16(); this.mem.write(addr, r.L); this.mem.write(addr + 1, r.H); } break;
-            case 0x2A: { const addr = this.fetch16(); const l = this.mem.read(addr); const h = this.mem.read(addr + 1); r.H = h; r.L = l; } break;
-
-            // LD (nn), A (0x32) / LD A, (nn) (0x3A)
-            case 0x32: { const addr = this.fetch16(); this.mem.write(addr, r.A); } break;
-            case 0x3A: { const addr = this.fetch16(); r.A = this.mem.read(addr); } break;
-
-            // INC r (8-bit)
-            case 0x3C: r.A = (r.A + 1) & 0xFF; this.setZ(r.A); this.setS(r.A); break;
-            case 0x04: r.B = (r.B + 1) & 0xFF; this.setZ(r.B); this.setS(r.B); break;
-            case 0x0C: r.C = (r.C + 1) & 0xFF; this.setZ(r.C); this.setS(r.C); break;
-            case 0x14: r.D = (r.D + 1) & 0xFF; this.setZ(r.D); this.setS(r.D); break;
-            case 0x1C: r.E = (r.E + 1) & 0xFF; this.setZ(r.E); this.setS(r.E); break;
-            case 0x24: r.H = (r.H + 1) & 0xFF; this.setZ(r.H); this.setS(r.H); break;
-            case 0x2C: r.L = (r.L + 1) & 0xFF; this.setZ(r.L); this.setS(r.L); break;
-
-            // INC rp (16-bit) - Note: No flags affected usually
-            case 0x03: { let v = (r.B << 8) | r.C; v = (v + 1) & 0xFFFF; r.B = v >> 8; r.C = v & 0xFF; } break;
-            case 0x13: { let v = (r.D << 8) | r.E; v = (v + 1) & 0xFFFF; r.D = v >> 8; r.E = v & 0xFF; } break;
-            case 0x23: { let v = (r.H << 8) | r.L; v = (v + 1) & 0xFFFF; r.H = v >> 8; r.L = v & 0xFF; } break;
-            case 0x33: { r.SP = (r.SP + 1) & 0xFFFF; } break;
-
-            // DEC r (8-bit)
-            case 0x3D: r.A = (r.A - 1) & 0xFF; this.setZ(r.A); this.setS(r.A); break;
-            case 0x05: r.B = (r.B - 1) & 0xFF; this.setZ(r.B); this.setS(r.B); break;
-            case 0x0D: r.C = (r.C - 1) & 0xFF; this.setZ(r.C); this.setS(r.C); break;
-            case 0x15: r.D = (r.D - 1) & 0xFF; this.setZ(r.D); this.setS(r.D); break;
-            case 0x1D: r.E = (r.E - 1) & 0xFF; this.setZ(r.E); this.setS(r.E); break;
-            case 0x25: r.H = (r.H - 1) & 0xFF; this.setZ(r.H); this.setS(r.H); break;
-            case 0x2D: r.L = (r.L - 1) & 0xFF; this.setZ(r.L); this.setS(r.L); break;
-
-            // DEC rp (16-bit)
-            case 0x0B: { let v = (r.B << 8) | r.C; v = (v - 1) & 0xFFFF; r.B = v >> 8; r.C = v & 0xFF; } break;
-            case 0x1B: { let v = (r.D << 8) | r.E; v = (v - 1) & 0xFFFF; r.D = v >> 8; r.E = v & 0xFF; } break;
-            case 0x2B: { let v = (r.H << 8) | r.L; v = (v - 1) & 0xFFFF; r.H = v >> 8; r.L = v & 0xFF; } break;
-            case 0x3B: { r.SP = (r.SP - 1) & 0xFFFF; } break;
-
-            // DJNZ d
-            case 0x10: {
-                const off = this.fetch();
-                r.B = (r.B - 1) & 0xFF;
-                if (r.B !== 0) {
-                    const jump = off > 127 ? off - 256 : off;
-                    r.PC += jump;
-                }
-                break;
-            }
-
             // OUT (n), A
             case 0xD3: {
                 const port = this.fetch();
@@ -644,14 +868,17 @@ class Z80 {
                 this.mem.write(--r.SP, (ret >> 8) & 0xFF);
                 this.mem.write(--r.SP, ret & 0xFF);
                 r.PC = dest;
+                this.enterFrame('call', ret);
                 break;
             }
 
             // RET
             case 0xC9: {
+                const sp = r.SP;
                 const l = this.mem.read(r.SP++);
                 const h = this.mem.read(r.SP++);
                 r.PC = (h << 8) | l;
+                this.leaveFrame(sp, r.PC);
                 break;
             }
 
@@ -670,10 +897,12 @@ class Z80 {
                 else if (cc === 7) cond = (r.F & 0x80);
 
                 if (cond) {
+                    const sp = r.SP;
                     const l = this.mem.read(r.SP++);
                     const h = this.mem.read(r.SP++);
                     r.PC = (h << 8) | l;
-                    // Note: RET takes 11 cycles, conditional +6 if taken usually
+                    this.leaveFrame(sp, r.PC);
+                    t += 6; // 11 when taken, 5 when not
                 }
                 break;
             }
@@ -697,6 +926,8 @@ class Z80 {
                     this.mem.write(--r.SP, (ret >> 8) & 0xFF);
                     this.mem.write(--r.SP, ret & 0xFF);
                     r.PC = dest;
+                    this.enterFrame('call', ret);
+                    t += 7; // 17 when taken, 10 when not
                 }
                 break;
             }
@@ -708,44 +939,10 @@ class Z80 {
                 this.mem.write(--r.SP, (ret >> 8) & 0xFF);
                 this.mem.write(--r.SP, ret & 0xFF);
                 r.PC = dest;
+                this.enterFrame('rst', ret);
                 break;
             }
 
-            // RLCA
-            // RLCA (0x07)
-            case 0x07: {
-                const bit7 = (r.A & 0x80) >> 7;
-                r.A = ((r.A << 1) | bit7) & 0xFF;
-                if (bit7) r.F |= 1; else r.F &= ~1;
-                r.F &= ~0x12; // H, N clear
-                break;
-            }
-            // RRCA (0x0F)
-            case 0x0F: {
-                const bit0 = r.A & 1;
-                r.A = ((r.A >> 1) | (bit0 << 7)) & 0xFF;
-                if (bit0) r.F |= 1; else r.F &= ~1;
-                r.F &= ~0x12;
-                break;
-            }
-            // RLA (0x17)
-            case 0x17: {
-                const bit7 = (r.A & 0x80) >> 7;
-                const oldC = r.F & 1;
-                r.A = ((r.A << 1) | oldC) & 0xFF;
-                if (bit7) r.F |= 1; else r.F &= ~1;
-                r.F &= ~0x12;
-                break;
-            }
-            // RRA (0x1F)
-            case 0x1F: {
-                const bit0 = r.A & 1;
-                const oldC = r.F & 1;
-                r.A = ((r.A >> 1) | (oldC << 7)) & 0xFF;
-                if (bit0) r.F |= 1; else r.F &= ~1;
-                r.F &= ~0x12;
-                break;
-            }
             // EX DE, HL (0xEB)
             case 0xEB: {
                 const tmpD = r.D; const tmpE = r.E;
@@ -753,13 +950,6 @@ class Z80 {
                 r.H = tmpD; r.L = tmpE;
                 break;
             }
-            // EX AF, AF' (0x08)
-            case 0x08: {
-                const tmpA = r.A; const tmpF = r.F;
-                r.A = this.reg_prime.A; r.F = this.reg_prime.F;
-                this.reg_prime.A = tmpA; this.reg_prime.F = tmpF;
-                break;
-            }
             // EX (SP), HL (0xE3) - Indexable
             case 0xE3: {
                 const l = this.mem.read(r.SP);
@@ -781,13 +971,6 @@ class Z80 {
                 r.SP = this.getHL();
                 break;
             }
-            // EXX (0xD9)
-            case 0xD9: {
-                const swap = (k) => { const t = r[k]; r[k] = this.reg_prime[k]; this.reg_prime[k] = t; };
-                swap('B'); swap('C'); swap('D'); swap('E'); swap('H'); swap('L');
-                break;
-            }
-
             // ALU Immediate (n)
             case 0xC6: this.arith8(0, this.fetch()); break; // ADD A, n
 
@@ -816,9 +999,12 @@ class Z80 {
             // ED Prefix (Extended)
             case 0xED: {
                 const sub = this.fetch();
+                this.refresh();
+                t = 8; // IM n, NEG and undefined ED opcodes
                 // Input matching IN r, (C) and OUT (C), r
                 // IN r, (C) -> 0x40 | (r << 3)
                 if ((sub & 0xC7) === 0x40) {
+                    t = 12;
                     const rIdx = (sub >> 3) & 7;
                     const val = this.io.in(r.C); // Port is C
                     if (rIdx === 0) r.B = val;
@@ -830,12 +1016,12 @@ class Z80 {
                     else if (rIdx === 6) { } // IN (C) (flags only)
                     else if (rIdx === 7) r.A = val;
 
-                    // Flags: S, Z, H=0, P/V (Parity), N=0
-                    this.setZ(val); this.setS(val); r.F &= ~0x12;
-                    { let p = val; p ^= p >> 4; p ^= p >> 2; p ^= p >> 1; if (!(p & 1)) r.F |= 0x04; }
+                    // Flags: S, Z, X/Y, H=0, P/V (Parity), N=0
+                    r.F = (r.F & 1) | SZ53P[val];
                 }
                 // OUT (C), r -> 0x41 | (r << 3)
                 else if ((sub & 0xC7) === 0x41) {
+                    t = 12;
                     const rIdx = (sub >> 3) & 7;
                     let val = 0;
                     if (rIdx === 0) val = r.B;
@@ -848,63 +1034,62 @@ class Z80 {
                     else if (rIdx === 7) val = r.A;
                     this.io.out(r.C, val);
                 }
-                // IM Modes
-                else if (sub === 0x46) this.im = 0;
-                else if (sub === 0x56) this.im = 1;
-                else if (sub === 0x5E) this.im = 2;
+                // IM Modes (46/56/5E plus the undocumented mirrors at 4E/66/6E/76/7E)
+                else if ((sub & 0xC7) === 0x46) this.im = [0, 0, 1, 2, 0, 0, 1, 2][(sub >> 3) & 7];
 
-                else if (sub === 0x47) { r.I = r.A; } // LD I, A
-                else if (sub === 0x4F) { r.R = r.A; } // LD R, A
+                else if (sub === 0x47) { r.I = r.A; t = 9; } // LD I, A
+                else if (sub === 0x4F) { r.R = r.A; t = 9; } // LD R, A
                 else if (sub === 0x57) { // LD A, I
+                    t = 9;
                     r.A = r.I;
-                    this.setZ(r.A); this.setS(r.A);
-                    r.F &= ~0x12; // H=0, N=0
-                    if (this.iff2) r.F |= 0x04; else r.F &= ~0x04; // P/V = IFF2
+                    // S, Z, X/Y from A, H=0, N=0, P/V = IFF2
+                    r.F = (r.F & 1) | (SZ53P[r.A] & ~0x04) | (this.iff2 ? 0x04 : 0);
                 }
                 else if (sub === 0x5F) { // LD A, R
+                    t = 9;
                     r.A = r.R;
-                    this.setZ(r.A); this.setS(r.A);
-                    r.F &= ~0x12; // H=0, N=0
-                    if (this.iff2) r.F |= 0x04; else r.F &= ~0x04; // P/V = IFF2
+                    // S, Z, X/Y from A, H=0, N=0, P/V = IFF2
+                    r.F = (r.F & 1) | (SZ53P[r.A] & ~0x04) | (this.iff2 ? 0x04 : 0);
                 }
 
-                // NEG (0x44)
-                else if (sub === 0x44) {
+                // NEG (0x44, mirrored at 4C/54/5C/64/6C/74/7C)
+                else if ((sub & 0xC7) === 0x44) {
                     const val = r.A;
                     r.A = 0;
                     this.arith8(2, val); // SUB A, val (0 - A) -> NEG
                 }
 
-                // RETI (0x4D) / RETN (0x45)
-                else if (sub === 0x4D || sub === 0x45) {
-                    const l = this.mem.read(r.SP++);
-                    const h = this.mem.read(r.SP++);
-                    r.PC = (h << 8) | l;
+                // RETI (0x4D) / RETN (0x45, mirrored at 55/5D/65/6D/75/7D)
+                else if ((sub & 0xC7) === 0x45) {
+                    t = 14;
+                    const sp = r.SP;
+                    r.PC = this.pop();
+                    this.leaveFrame(sp, r.PC);
+                    if (sub !== 0x4D) this.iff1 = this.iff2; // RETN: Restore state from before the NMI
                 }
 
                 // RAD/RRD (Decimal Rotate)
                 // RRD (67)
                 else if (sub === 0x67) {
+                    t = 18;
                     const hl = (r.H << 8) | r.L;
                     const m = this.mem.read(hl);
                     const low = r.A & 0x0F;
                     r.A = (r.A & 0xF0) | (m & 0x0F);
                     const newM = ((m >> 4) & 0x0F) | (low << 4);
                     this.mem.write(hl, newM);
-                    this.setZ(r.A); this.setS(r.A); r.F &= ~0x12; // H=0, N=0
-                    // P/V Parity
-                    { let p = r.A; p ^= p >> 4; p ^= p >> 2; p ^= p >> 1; if (!(p & 1)) r.F |= 0x04; }
+                    r.F = (r.F & 1) | SZ53P[r.A]; // H=0, N=0, P/V Parity
                 }
                 // RLD (6F)
                 else if (sub === 0x6F) {
+                    t = 18;
                     const hl = (r.H << 8) | r.L;
                     const m = this.mem.read(hl);
                     const low = r.A & 0x0F;
                     r.A = (r.A & 0xF0) | ((m >> 4) & 0x0F);
                     const newM = ((m << 4) & 0xF0) | low;
                     this.mem.write(hl, newM);
-                    this.setZ(r.A); this.setS(r.A); r.F &= ~0x12;
-                    { let p = r.A; p ^= p >> 4; p ^= p >> 2; p ^= p >> 1; if (!(p & 1)) r.F |= 0x04; }
+                    r.F = (r.F & 1) | SZ53P[r.A];
                 }
 
                 // Block Operations
@@ -913,6 +1098,7 @@ class Z80 {
                     // LDI(A0), LDIR(B0), LDD(A8), LDDR(B8)
                     const inc = (sub & 8) ? -1 : 1;
                     const repeat = (sub & 0x10) ? true : false;
+                    t = 16; // Each repeated iteration costs 21 more
 
                     const op = () => {
                         const hl = (r.H << 8) | r.L;
@@ -930,6 +1116,10 @@ class Z80 {
                         bc = (bc - 1) & 0xFFFF;
                         r.B = bc >> 8; r.C = bc & 0xFF;
 
+                        // H=0, N=0, P/V = BC!=0; X is bit 3 and Y is bit 1 of (A + byte)
+                        const n = (r.A + v) & 0xFF;
+                        r.F = (r.F & 0xC1) | (bc !== 0 ? 0x04 : 0) | (n & 0x08) | ((n & 0x02) << 4);
+
                         return bc;
                     };
 
@@ -938,16 +1128,16 @@ class Z80 {
                         // Atomic execution
                         while (bc !== 0) {
                             bc = op();
+                            t += 21;
+                            this.refresh(); this.refresh(); // ED xx is fetched again
                         }
                     }
-
-                    r.F &= ~0x16; // Clear H, N, P/V
-                    if (bc !== 0) r.F |= 0x04; // Set P/V if BC!=0
                 }
                 // CPI (A1), CPIR (B1), CPD (A9), CPDR (B9)
                 else if ([0xA1, 0xB1, 0xA9, 0xB9].includes(sub)) {
                     const inc = (sub & 8) ? -1 : 1;
                     const repeat = (sub & 0x10) ? true : false;
+                    t = 16; // Each repeated iteration costs 21 more
 
                     const op = () => {
                         const hl = (r.H << 8) | r.L;
@@ -962,15 +1152,12 @@ class Z80 {
                         bc = (bc - 1) & 0xFFFF;
                         r.B = bc >> 8; r.C = bc & 0xFF;
 
-                        r.F &= ~0x01; // Preserve C
-                        // Set S, Z, H based on CP (A-v)
-                        if ((res & 0xFF) === 0) r.F |= 0x40; else r.F &= ~0x40;
-                        if (res & 0x80) r.F |= 0x80; else r.F &= ~0x80;
-                        r.F |= 0x02; // N=1
-                        // H?? (A & 0xF) < (v & 0xF)
-
-                        r.F &= ~0x04; // P/V
-                        if (bc !== 0) r.F |= 0x04;
+                        // S, Z, H from CP (A-v), C preserved, N=1, P/V = BC!=0
+                        const h = (r.A ^ v ^ res) & 0x10;
+                        // X is bit 3 and Y is bit 1 of (A - v - H)
+                        const n = (res - (h >> 4)) & 0xFF;
+                        r.F = (r.F & 1) | 0x02 | (res & 0x80) | ((res & 0xFF) === 0 ? 0x40 : 0) | h |
+                            (bc !== 0 ? 0x04 : 0) | (n & 0x08) | ((n & 0x02) << 4);
 
                         return { bc, match: (res & 0xFF) === 0 };
                     };
@@ -979,6 +1166,8 @@ class Z80 {
                     if (repeat && ret.bc !== 0 && !ret.match) {
                         while (ret.bc !== 0 && !ret.match) {
                             ret = op();
+                            t += 21;
+                            this.refresh(); this.refresh();
                         }
                     }
                 }
@@ -987,6 +1176,7 @@ class Z80 {
                 else if ([0xA2, 0xB2, 0xAA, 0xBA].includes(sub)) {
                     const inc = (sub & 8) ? -1 : 1;
                     const repeat = (sub & 0x10) ? true : false;
+                    t = 16; // Each repeated iteration costs 21 more
 
                     const op = () => {
                         const hl = (r.H << 8) | r.L;
@@ -997,16 +1187,14 @@ class Z80 {
                         r.H = nhl >> 8; r.L = nhl & 0xFF;
 
                         r.B = (r.B - 1) & 0xFF;
-
-                        r.F |= 0x02; // N=1
-                        if (r.B === 0) r.F |= 0x40; else r.F &= ~0x40; // Z if B=0
+                        this.blockIOFlags(v, (r.C + inc) & 0xFF);
 
                         return r.B;
                     }
 
                     let b = op();
                     if (repeat && b !== 0) {
-                        while (b !== 0) b = op();
+                        while (b !== 0) { b = op(); t += 21; this.refresh(); this.refresh(); }
                     }
                 }
 
@@ -1014,6 +1202,7 @@ class Z80 {
                 else if ([0xA3, 0xB3, 0xAB, 0xBB].includes(sub)) {
                     const inc = (sub & 8) ? -1 : 1;
                     const repeat = (sub & 0x10) ? true : false;
+                    t = 16; // Each repeated iteration costs 21 more
 
                     const op = () => {
                         const hl = (r.H << 8) | r.L;
@@ -1024,43 +1213,37 @@ class Z80 {
                         r.H = nhl >> 8; r.L = nhl & 0xFF;
 
                         r.B = (r.B - 1) & 0xFF;
-
-                        r.F |= 0x02; // N=1
-                        if (r.B === 0) r.F |= 0x40; else r.F &= ~0x40; // Z if B=0
+                        this.blockIOFlags(v, r.L);
 
                         return r.B;
                     }
 
                     let b = op();
                     if (repeat && b !== 0) {
-                        while (b !== 0) b = op();
+                        while (b !== 0) { b = op(); t += 21; this.refresh(); this.refresh(); }
                     }
                 }
 
                 // SBC HL, ss (42, 52, 62, 72)
                 else if ((sub & 0xCF) === 0x42) {
+                    t = 15;
                     const ss = (sub >> 4) & 3; // 0=BC, 1=DE, 2=HL, 3=SP
                     let val = 0;
                     if (ss === 0) val = (r.B << 8) | r.C; else if (ss === 1) val = (r.D << 8) | r.E; else if (ss === 2) val = (r.H << 8) | r.L; else val = r.SP;
-                    const hl = (r.H << 8) | r.L;
-                    const res = hl - val - (r.F & 1);
-                    r.H = (res >> 8) & 0xFF; r.L = res & 0xFF;
-                    // Flags simplified for sample: Set C if Carry
-                    r.F = 0; if (res < 0 || res > 0xFFFF) r.F |= 1; if ((res & 0xFFFF) === 0) r.F |= 0x40; r.F |= 0x02; // N set
+                    this.adc16(val, true);
                 }
                 // ADC HL, ss (4A, 5A, 6A, 7A)
                 else if ((sub & 0xCF) === 0x4A) {
+                    t = 15;
                     const ss = (sub >> 4) & 3;
                     let val = 0;
                     if (ss === 0) val = (r.B << 8) | r.C; else if (ss === 1) val = (r.D << 8) | r.E; else if (ss === 2) val = (r.H << 8) | r.L; else val = r.SP;
-                    const hl = (r.H << 8) | r.L;
-                    const res = hl + val + (r.F & 1);
-                    r.H = (res >> 8) & 0xFF; r.L = res & 0xFF;
-                    r.F = 0; if (res > 0xFFFF) r.F |= 1; if ((res & 0xFFFF) === 0) r.F |= 0x40;
+                    this.adc16(val, false);
                 }
 
                 // LD rp, (nn) - ED 4B, 5B, 6B, 7B
                 else if ((sub & 0xCF) === 0x4B) {
+                    t = 20;
                     const rIdx = (sub >> 4) & 3;
                     const l = this.fetch();
                     const h = this.fetch();
@@ -1074,6 +1257,7 @@ class Z80 {
                 }
                 // LD (nn), rp - ED 43, 53, 63, 73
                 else if ((sub & 0xCF) === 0x43) {
+                    t = 20;
                     const rIdx = (sub >> 4) & 3;
                     const l = this.fetch();
                     const h = this.fetch();
@@ -1087,29 +1271,23 @@ class Z80 {
                     this.mem.write((addr + 1) & 0xFFFF, vh);
                 }
 
-                else console.warn("Unknown ED Opcode:", sub.toString(16));
+                // Remaining ED opcodes are undefined and behave as an 8 T-state NOP
                 break;
             }
 
-            // LD r, r' (0x40 - 0x7F)
-            // Note: 0x76 is HALT, handled above in explicit case?
-            // Switch cases execute in order? No, exact match.
-            // Explicit cases usually go before default in switch, but here mixed.
-            case 0xFB: this.iff1 = 1; break; // EI
-            case 0xF3: this.iff1 = 0; break; // DI
-
             default: {
                 // LD r, r' (0x40 - 0x7F)
                 if ((op & 0xC0) === 0x40) {
-                    if (op === 0x76) { this.halted = true; break; } // HALT is 0x76
+                    if (op === 0x76) break; // HALT is 0x76, handled above
                     const s = op & 7;
                     const d = (op >> 3) & 7;
+                    const hl = (s === 6 || d === 6); // LD H, (IX+d) / LD (IX+d), L use the real H and L
                     let val = 0;
 
                     // Read Source
                     if (s === 6) val = this.mem.read(this.getAddrHL());
-                    else if (s === 4) val = this.getH();
-                    else if (s === 5) val = this.getL();
+                    else if (s === 4) val = hl ? r.H : this.getH();
+                    else if (s === 5) val = hl ? r.L : this.getL();
                     else if (s === 0) val = r.B;
                     else if (s === 1) val = r.C;
                     else if (s === 2) val = r.D;
@@ -1118,8 +1296,8 @@ class Z80 {
 
                     // Write Dest
                     if (d === 6) this.mem.write(this.getAddrHL(), val);
-                    else if (d === 4) this.setH(val);
-                    else if (d === 5) this.setL(val);
+                    else if (d === 4) { if (hl) r.H = val; else this.setH(val); }
+                    else if (d === 5) { if (hl) r.L = val; else this.setL(val); }
                     else if (d === 0) r.B = val;
                     else if (d === 1) r.C = val;
                     else if (d === 2) r.D = val;
@@ -1150,122 +1328,1163 @@ class Z80 {
                 break;
             }
         }
+
+        // (IX+d) operands: displacement read + address calculation
+        if (this.displaced) t += (op === 0x36) ? 5 : 8;
+        return t;
     }
 }
 
-class Assembler {
-    constructor() {
-        this.sourceMap = [];
-        this.labels = {};
+/**
+ * Ring buffer of executed instructions for reverse stepping.
+ * Each slot holds a full copy of the registers and CPU fields before the instruction: 31 values (248 bytes)
+ * copied on every step, which is cheaper than working out which of them changed. Only when the instruction
+ * changed them, it also holds the old value of every memory byte it wrote, the call stack before it pushed
+ * or popped a frame and, if it executed an OUT, the device state before the first one.
+ */
+class ExecutionHistory {
+    constructor(cpu, mem, io, devices, depth = 10000) {
+        this.cpu = cpu;
+        this.mem = mem;
+        this.io = io;
+        this.devices = devices; // Object with getState()/setState() (the board)
+        this.writes = []; // Memory journal of the current instruction
+        this.outState = null; // Device state before the current instruction's first OUT
+        this.onOut = () => { if (!this.outState) this.outState = this.devices.getState(); };
+        this.stack = cpu.callStack.slice(); // Copy of the call stack before the next instruction, never mutated
+        this.setDepth(depth);
     }
 
-    parseNumber(s, dummyMode = false) {
-        s = s.trim();
-        const su = s.toUpperCase();
-        if (this.labels[su] !== undefined) return this.labels[su];
-        if (this.labels[s] !== undefined) return this.labels[s];
-        if (s.startsWith('0x')) return parseInt(s, 16);
-        const v = parseInt(s);
-        if (isNaN(v)) {
-            if (dummyMode) return 0; // Return 0 for unresolved labels in Pass 1
-            throw new Error(`Undefined Label: ${s}`);
-        }
-        return v;
+    // Clamped to 0..MAX_DEPTH. Returns the depth in use.
+    setDepth(depth) {
+        this.clear(Math.min(ExecutionHistory.MAX_DEPTH, Math.max(0, Math.floor(depth) || 0)));
+        return this.depth;
     }
 
-    emitInstruction(mnemonic, args, addr, dummyMode) {
-        const bytes = [];
-        const fetch = (n) => bytes.push(n); // Helper if needed, but we push directly
+    clear(depth = this.depth) {
+        // Allocated before anything is assigned, so a failed allocation keeps the old history intact
+        const regs = new Float64Array(depth * ExecutionHistory.SLOTS); // Written in place, no allocation per instruction
+        const effects = new Array(depth).fill(null); // { mem, stack, devices } or null
+        this.depth = depth;
+        this.regs = regs;
+        this.effects = effects;
+        this.head = 0; // Next slot to write
+        this.count = 0;
+    }
 
-        if (mnemonic === 'PUSH') {
-            const r = args[0].toUpperCase();
-            if (r === 'IX') bytes.push(0xDD, 0xE5);
-            else if (r === 'IY') bytes.push(0xFD, 0xE5);
-            else {
-                const m = { BC: 0xC5, DE: 0xD5, HL: 0xE5, AF: 0xF5 };
-                if (m[r]) bytes.push(m[r]);
-                else throw new Error(`Invalid Operand for PUSH: ${r}`);
+    // Execute one instruction, recording how to undo it. Returns T-states like Z80.step().
+    step() {
+        if (this.depth === 0) return this.cpu.step();
+
+        const slot = this.head;
+        this.capture(slot * ExecutionHistory.SLOTS);
+        if (!this.stackUnchanged()) this.stack = this.cpu.callStack.slice(); // Reset or restored between steps
+        this.mem.journal = this.writes;
+        this.io.outHook = this.onOut;
+        try {
+            return this.cpu.step();
+        } finally {
+            this.mem.journal = null;
+            this.io.outHook = null;
+            let fx = null;
+            if (this.writes.length || this.outState || !this.stackUnchanged()) {
+                fx = { mem: null, stack: null, devices: this.outState };
+                if (this.writes.length) {
+                    fx.mem = this.writes;
+                    this.writes = [];
+                }
+                if (!this.stackUnchanged()) {
+                    fx.stack = this.stack;
+                    this.stack = this.cpu.callStack.slice();
+                }
+                this.outState = null;
             }
+            this.effects[slot] = fx;
+            this.head = (slot + 1) % this.depth;
+            if (this.count < this.depth) this.count++;
         }
-        else if (mnemonic === 'POP') {
-            const r = args[0].toUpperCase();
-            if (r === 'IX') bytes.push(0xDD, 0xE1);
-            else if (r === 'IY') bytes.push(0xFD, 0xE1);
-            else {
-                const m = { BC: 0xC1, DE: 0xD1, HL: 0xE1, AF: 0xF1 };
-                if (m[r]) bytes.push(m[r]);
-                else throw new Error(`Invalid Operand for POP: ${r}`);
-            }
+    }
+
+    // Frames are only pushed, popped or replaced, so comparing the length and the top frame is enough
+    stackUnchanged() {
+        const cs = this.cpu.callStack, s = this.stack;
+        return cs.length === s.length && (!cs.length || cs[cs.length - 1] === s[s.length - 1]);
+    }
+
+    // Copy the registers and CPU fields to this.regs from offset o. Written out field by field: this runs
+    // for every instruction and a loop over key names is several times slower.
+    capture(o) {
+        const b = this.regs, c = this.cpu, r = c.reg, p = c.reg_prime;
+        b[o] = r.A; b[o + 1] = r.F; b[o + 2] = r.B; b[o + 3] = r.C; b[o + 4] = r.D; b[o + 5] = r.E; b[o + 6] = r.H; b[o + 7] = r.L;
+        b[o + 8] = r.PC; b[o + 9] = r.SP; b[o + 10] = r.IX; b[o + 11] = r.IY; b[o + 12] = r.I; b[o + 13] = r.R;
+        b[o + 14] = p.A; b[o + 15] = p.F; b[o + 16] = p.B; b[o + 17] = p.C; b[o + 18] = p.D; b[o + 19] = p.E; b[o + 20] = p.H; b[o + 21] = p.L;
+        b[o + 22] = c.halted; b[o + 23] = c.iff1; b[o + 24] = c.iff2; b[o + 25] = c.im; b[o + 26] = c.interruptPending;
+        b[o + 27] = c.interruptData; b[o + 28] = c.nmiPending; b[o + 29] = c.eiDelay; b[o + 30] = c.cycles;
+    }
+
+    // Inverse of capture()
+    restore(o) {
+        const b = this.regs, c = this.cpu, r = c.reg, p = c.reg_prime;
+        r.A = b[o]; r.F = b[o + 1]; r.B = b[o + 2]; r.C = b[o + 3]; r.D = b[o + 4]; r.E = b[o + 5]; r.H = b[o + 6]; r.L = b[o + 7];
+        r.PC = b[o + 8]; r.SP = b[o + 9]; r.IX = b[o + 10]; r.IY = b[o + 11]; r.I = b[o + 12]; r.R = b[o + 13];
+        p.A = b[o + 14]; p.F = b[o + 15]; p.B = b[o + 16]; p.C = b[o + 17]; p.D = b[o + 18]; p.E = b[o + 19]; p.H = b[o + 20]; p.L = b[o + 21];
+        c.halted = !!b[o + 22]; c.iff1 = b[o + 23]; c.iff2 = b[o + 24]; c.im = b[o + 25]; c.interruptPending = !!b[o + 26];
+        c.interruptData = b[o + 27]; c.nmiPending = !!b[o + 28]; c.eiDelay = !!b[o + 29]; c.cycles = b[o + 30];
+        c.prefix = 0;
+    }
+
+    // Undo the most recent instruction. Returns false when the history is empty.
+    back() {
+        if (this.count === 0) return false;
+        this.head = (this.head - 1 + this.depth) % this.depth;
+        this.count--;
+        const fx = this.effects[this.head];
+        this.effects[this.head] = null;
+
+        // Newest write first, so a byte written twice ends up with its oldest value
+        if (fx && fx.mem) for (let i = fx.mem.length - 2; i >= 0; i -= 2) this.mem.data[fx.mem[i]] = fx.mem[i + 1];
+        this.restore(this.head * ExecutionHistory.SLOTS);
+        if (fx && fx.stack) {
+            this.stack = fx.stack;
+            this.cpu.callStack = fx.stack.slice();
         }
-        else if (mnemonic === 'INC' || mnemonic === 'DEC') {
-            const r = args[0].toUpperCase();
-            const isInc = mnemonic === 'INC';
-            const base8 = isInc ? 0x04 : 0x05;
-            const base16 = isInc ? 0x03 : 0x0B;
+        if (fx && fx.devices) this.devices.setState(fx.devices);
+        return true;
+    }
+}
 
-            if (r === 'IX') bytes.push(0xDD, isInc ? 0x23 : 0x2B);
-            else if (r === 'IY') bytes.push(0xFD, isInc ? 0x23 : 0x2B);
-            else if (r.match(/\((IX|IY)/)) { // Partial check
-                const idxRegex = /\((IX|IY)\s*([+-]\s*0x[0-9A-Fa-f]+|[+-]\s*[0-9]+)?\)/;
-                const match = r.match(idxRegex);
-                if (match) {
-                    const pre = match[1] === 'IX' ? 0xDD : 0xFD;
-                    let offStr = match[2] ? match[2].replace(/\s/g, '') : '+0';
-                    const off = this.parseNumber(offStr, dummyMode);
-                    bytes.push(pre, isInc ? 0x34 : 0x35, off & 0xFF);
-                } else throw new Error(`Invalid Index Syntax for ${mnemonic}: ${r}`);
-            }
-            else {
-                const rMap8 = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
-                const rMap16 = { BC: 0, DE: 1, HL: 2, SP: 3 };
+ExecutionHistory.SLOTS = 31; // Values saved by capture() per instruction
+ExecutionHistory.MAX_DEPTH = 100000; // About 25 MB of registers
 
-                if (rMap8[r] !== undefined) bytes.push(base8 | (rMap8[r] << 3));
-                else if (rMap16[r] !== undefined) bytes.push(base16 | (rMap16[r] << 4));
-                else throw new Error(`Invalid Operand for ${mnemonic}: ${r}`);
+/**
+ * Per-instruction execution trace: PC, opcode bytes, disassembly, registers and flags before the
+ * instruction, and the memory writes and I/O it performed. Kept in a ring buffer of `limit` entries.
+ */
+class TraceRecorder {
+    constructor(cpu, mem, io, limit = 100000) {
+        this.cpu = cpu;
+        this.mem = mem;
+        this.io = io;
+        this.limit = limit;
+        this.enabled = false;
+        // from/to: PC range to record, only: 'all', 'io' (instructions doing I/O) or 'branch' (jumps, calls, returns)
+        this.filter = { from: 0, to: 0xFFFF, only: 'all' };
+        this.clear();
+    }
+
+    clear() {
+        this.buf = new Array(this.limit);
+        this.head = 0;
+        this.count = 0;
+        this.seq = 0; // Instructions seen while enabled, recorded or not
+    }
+
+    // Receive side effects while the traced instruction runs
+    memWrite(addr, val) { this.effects.push(`W ${DISASM.hex(addr, 4)}=${DISASM.hex(val, 2)}`); }
+    ioOut(port, val) { this.effects.push(`OUT ${DISASM.hex(port, 2)}=${DISASM.hex(val, 2)}`); this.didIO = true; }
+    ioIn(port, val) { this.effects.push(`IN ${DISASM.hex(port, 2)}=${DISASM.hex(val, 2)}`); this.didIO = true; }
+
+    /**
+     * Run one step through stepFn, recording it if enabled and it passes the filter.
+     * @param {Function} stepFn - Executes one instruction and returns its T-states (Z80.step or ExecutionHistory.step).
+     */
+    step(stepFn) {
+        if (!this.enabled) return stepFn();
+
+        const cpu = this.cpu;
+        const r = cpu.reg;
+        const pc = r.PC;
+        // An accepted interrupt replaces the instruction at PC
+        const irq = cpu.nmiPending ? 'NMI' : (cpu.interruptPending && cpu.iff1 && !cpu.eiDelay) ? 'INT' : null;
+        const d = irq ? { txt: irq, bytes: '' } : DISASM.decode(pc, this.mem);
+        const entry = {
+            n: this.seq++, pc, bytes: d.bytes, txt: d.txt,
+            af: (r.A << 8) | r.F, bc: (r.B << 8) | r.C, de: (r.D << 8) | r.E, hl: (r.H << 8) | r.L,
+            ix: r.IX, iy: r.IY, sp: r.SP, cycles: cpu.cycles, effects: null
+        };
+        this.effects = [];
+        this.didIO = false;
+        this.mem.tracer = this;
+        this.io.tracer = this;
+        try {
+            return stepFn();
+        } finally {
+            this.mem.tracer = null;
+            this.io.tracer = null;
+            entry.effects = this.effects;
+            const f = this.filter;
+            const keep = pc >= f.from && pc <= f.to &&
+                (f.only !== 'io' || this.didIO) &&
+                (f.only !== 'branch' || irq || /^(JP|JR|DJNZ|CALL|RET|RST)/.test(d.txt));
+            if (keep) {
+                this.buf[this.head] = entry;
+                this.head = (this.head + 1) % this.limit;
+                if (this.count < this.limit) this.count++;
             }
         }
-        else if (['ADD', 'SUB', 'AND', 'OR', 'XOR', 'CP', 'ADC', 'SBC'].includes(mnemonic)) {
+    }
 
+    // Recorded entries, oldest first (the last `max` only when given)
+    entries(max = this.count) {
+        const n = Math.min(max, this.count);
+        const out = [];
+        for (let i = this.count - n; i < this.count; i++) out.push(this.buf[(this.head - this.count + i + this.limit) % this.limit]);
+        return out;
+    }
 
-            // ADD IX/IY, ss
-            if (mnemonic === 'ADD' && (args[0].toUpperCase() === 'IX' || args[0].toUpperCase() === 'IY')) {
-                const ix = args[0].toUpperCase() === 'IX';
-                const ss = args[1].toUpperCase();
-                const sMap = { BC: 0x09, DE: 0x19, IX: 0x29, IY: 0x29, SP: 0x39 };
-                const code = sMap[ss];
-                if (code !== undefined) bytes.push(ix ? 0xDD : 0xFD, code);
-                else if (ss === (ix ? 'IX' : 'IY')) bytes.push(ix ? 0xDD : 0xFD, 0x29); // Handle self-add properly
-                else bytes.push(0x00, 0x00);
-                return bytes;
-            }
-            // 16-bit ADD IX/IY, ss (Wait, duplicated block in original, simplified here)
-            // The original code had two blocks for ADD IX/IY. I will check.
-            // The first block: sMap has IX/IY.
-            // The second block: sMap has { BC: 0x09, DE: 0x19, SP: 0x39 }.
-            // I'll stick to the first one which covers all, effectively.
+    static flags(af) {
+        return [...'SZYHXPNC'].map((c, i) => (af & (0x80 >> i)) ? c : '-').join('');
+    }
 
-            // ALU A, r (Implicit A)
-            let r = args[0];
-            if (args.length > 1 && ['ADD', 'ADC', 'SUB', 'SBC', 'AND', 'OR', 'XOR', 'CP'].includes(mnemonic)) r = args[1];
+    static formatText(e) {
+        const h = DISASM.hex;
+        return `${String(e.n).padStart(8, '0')} ${h(e.pc, 4)}  ${e.bytes.padEnd(11)} ${e.txt.padEnd(18)} ` +
+            `AF=${h(e.af, 4)} BC=${h(e.bc, 4)} DE=${h(e.de, 4)} HL=${h(e.hl, 4)} IX=${h(e.ix, 4)} IY=${h(e.iy, 4)} SP=${h(e.sp, 4)} ` +
+            `${TraceRecorder.flags(e.af)} T=${e.cycles}${e.effects.length ? '  ' + e.effects.join(' ') : ''}`;
+    }
 
-            let rUpper = r.toUpperCase();
+    toText() {
+        return this.entries().map(e => TraceRecorder.formatText(e)).join('\n') + '\n';
+    }
 
+    toCSV() {
+        const h = DISASM.hex;
+        const quote = (s) => /[",]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+        const rows = ['n,pc,bytes,disasm,af,bc,de,hl,ix,iy,sp,flags,cycles,effects'];
+        this.entries().forEach(e => rows.push([
+            e.n, h(e.pc, 4), e.bytes, quote(e.txt), h(e.af, 4), h(e.bc, 4), h(e.de, 4), h(e.hl, 4),
+            h(e.ix, 4), h(e.iy, 4), h(e.sp, 4), TraceRecorder.flags(e.af), e.cycles, e.effects.join(' ')
+        ].join(',')));
+        return rows.join('\n') + '\n';
+    }
+}
 
+/**
+ * Code coverage: which instruction addresses executed and, for conditional branches
+ * (JR cc, DJNZ, JP cc, CALL cc, RET cc), whether each direction was seen.
+ */
+class Coverage {
+    constructor() {
+        this.exec = new Uint8Array(0x10000);
+        this.taken = new Uint8Array(0x10000);
+        this.notTaken = new Uint8Array(0x10000);
+    }
 
-            // 16-bit Arithmetic (ADD HL, ss / ADC HL, ss / SBC HL, ss)
-            const rpMap = { BC: 0, DE: 1, HL: 2, SP: 3 };
-            const r0 = args[0].toUpperCase();
-            const r1 = args[1] ? args[1].toUpperCase() : '';
+    clear() {
+        this.exec.fill(0);
+        this.taken.fill(0);
+        this.notTaken.fill(0);
+    }
 
+    /**
+     * Called by Z80.step() after each instruction.
+     * @param {number} pc - Address of the instruction (its first prefix byte).
+     * @param {number} op - Opcode after any DD/FD prefixes.
+     * @param {number} prefixes - Number of DD/FD prefix bytes.
+     * @param {number} next - PC after execution.
+     */
+    record(pc, op, prefixes, next) {
+        this.exec[pc] = 1;
+        const len = Coverage.BRANCH_LEN[op];
+        if (len) {
+            if (next === ((pc + prefixes + len) & 0xFFFF)) this.notTaken[pc] = 1;
+            else this.taken[pc] = 1;
+        }
+    }
 
-            if (r0 === 'HL' && rpMap[r1] !== undefined) {
-                const ss = rpMap[r1];
-                if (mnemonic === 'ADD') {
-                    // ADD HL, ss (09, 19, 29, 39)
-                    const bases = [0x09, 0x19, 0x29, 0x39];
+    // Opcode of the instruction at addr, skipping index prefixes
+    static opcode(mem, addr) {
+        let op = mem.read(addr);
+        while (op === 0xDD || op === 0xFD) op = mem.read(++addr & 0xFFFF);
+        return op;
+    }
 
-                    bytes.push(bases[ss]);
-                    return bytes;
+    /**
+     * Coverage of one assembled program.
+     * @param {Assembler} asm - Supplies the instruction addresses (sourceMap), data lines and labels.
+     * @param {Memory} mem - Program image, to tell which instructions are conditional branches.
+     * @param {string} [file] - File whose lines go into lines (default: the main source).
+     * @returns {object} { instructions: {total, executed}, branches: {total, both, takenOnly, notTakenOnly},
+     *   labels: [{ label, addr, total, executed, branches, branchesBoth }], lines: { line: 'hit'|'partial'|'miss' } }
+     */
+    report(asm, mem, file = asm.fileName) {
+        const labels = Object.entries(DISASM.codeLabels(asm)).sort((a, b) => a[1] - b[1]);
+        const result = {
+            instructions: { total: 0, executed: 0 },
+            branches: { total: 0, both: 0, takenOnly: 0, notTakenOnly: 0 },
+            labels: labels.map(([label, addr]) => ({ label, addr, total: 0, executed: 0, branches: 0, branchesBoth: 0 })),
+            lines: {}
+        };
+        let li = -1;
+        asm.sourceMap.forEach((line, addr) => {
+            if (asm.dataMap && asm.dataMap[addr]) return;
+            while (li + 1 < labels.length && labels[li + 1][1] <= addr) li++;
+            const group = li >= 0 ? result.labels[li] : null;
+            const hit = !!this.exec[addr];
+            const branch = !!Coverage.BRANCH_LEN[Coverage.opcode(mem, addr)];
+            const both = branch && this.taken[addr] && this.notTaken[addr];
+
+            result.instructions.total++;
+            if (hit) result.instructions.executed++;
+            if (branch) {
+                result.branches.total++;
+                if (both) result.branches.both++;
+                else if (this.taken[addr]) result.branches.takenOnly++;
+                else if (this.notTaken[addr]) result.branches.notTakenOnly++;
+            }
+            if (group) {
+                group.total++;
+                if (hit) group.executed++;
+                if (branch) group.branches++;
+                if (both) group.branchesBoth++;
+            }
+
+            // Several instructions on one line (A : B) combine: any gap makes it partial
+            if (asm.fileMap && asm.fileMap[addr] !== file) return;
+            const status = !hit ? 'miss' : (branch && !both) ? 'partial' : 'hit';
+            const prev = result.lines[line];
+            result.lines[line] = (prev === undefined || prev === status) ? status : 'partial';
+        });
+        result.labels = result.labels.filter(l => l.total > 0);
+        return result;
+    }
+}
+
+// Fall-through length (without prefixes) of the conditional branches, by opcode
+Coverage.BRANCH_LEN = new Uint8Array(256);
+[0x10, 0x20, 0x28, 0x30, 0x38].forEach(op => Coverage.BRANCH_LEN[op] = 2);
+for (let cc = 0; cc < 8; cc++) {
+    Coverage.BRANCH_LEN[0xC0 | (cc << 3)] = 1; // RET cc
+    Coverage.BRANCH_LEN[0xC2 | (cc << 3)] = 3; // JP cc, nn
+    Coverage.BRANCH_LEN[0xC4 | (cc << 3)] = 3; // CALL cc, nn
+}
+
+/**
+ * Cycle profiler: instructions and T-states per address, plus call counts and inclusive
+ * cost per CALL/RST/interrupt target, following the CPU's shadow call stack.
+ */
+class Profiler {
+    constructor(cpu) {
+        this.cpu = cpu;
+        this.enabled = false;
+        this.clear();
+    }
+
+    clear() {
+        this.counts = new Uint32Array(0x10000); // Instructions executed at each address
+        this.cycles = new Float64Array(0x10000); // T-states spent at each address
+        this.calls = new Map(); // target -> times entered
+        this.inclusive = new Map(); // target -> T-states between entry and return, callees included
+        this.total = 0;
+        // Mirror of cpu.callStack: { target, sp, start }. Routines already running are not counted as calls.
+        this.frames = this.cpu.callStack.map(f => ({ target: f.target, sp: f.sp, start: 0 }));
+    }
+
+    /**
+     * Run one step through stepFn, charging its T-states to the instruction's address.
+     * @param {Function} stepFn - Executes one instruction and returns its T-states.
+     */
+    step(stepFn) {
+        if (!this.enabled) return stepFn();
+        const t = stepFn();
+        const pc = this.cpu.instrPC;
+        this.counts[pc]++;
+        this.cycles[pc] += t;
+        this.total += t;
+        this.sync();
+        return t;
+    }
+
+    // Close frames the CPU has returned from (or abandoned) and open the ones it just entered
+    sync() {
+        const stack = this.cpu.callStack;
+        const frames = this.frames;
+        const same = (f, s) => f.target === s.target && f.sp === s.sp;
+        while (frames.length > stack.length ||
+            (frames.length && !same(frames[frames.length - 1], stack[frames.length - 1]))) {
+            this.close(frames.pop());
+        }
+        for (let i = frames.length; i < stack.length; i++) {
+            const target = stack[i].target;
+            frames.push({ target, sp: stack[i].sp, start: this.total });
+            this.calls.set(target, (this.calls.get(target) || 0) + 1);
+        }
+    }
+
+    close(frame) {
+        // A recursive call is already covered by the outer frame of the same routine
+        if (this.frames.some(f => f.target === frame.target)) return;
+        this.inclusive.set(frame.target, (this.inclusive.get(frame.target) || 0) + this.total - frame.start);
+    }
+
+    /**
+     * Cost per routine. Exclusive cost is everything executed from a label up to the next label;
+     * inclusive cost is the time between entering a routine via CALL/RST/interrupt and leaving it,
+     * or the exclusive cost for code that is only ever jumped into.
+     * @param {object} labels - Code labels, name -> address.
+     * @returns {object[]} [{ label, addr, calls, instructions, exclusive, inclusive }]
+     */
+    report(labels) {
+        const sorted = Object.entries(labels).sort((a, b) => a[1] - b[1]);
+        const rows = [];
+        const open = new Map(); // Time so far in routines still on the stack
+        this.frames.forEach(f => { if (!open.has(f.target)) open.set(f.target, this.total - f.start); });
+
+        // Code before the first label
+        if (!sorted.length || sorted[0][1] > 0) sorted.unshift(['(start)', 0]);
+        sorted.forEach(([label, addr], i) => {
+            const end = i + 1 < sorted.length ? sorted[i + 1][1] : 0x10000;
+            let instructions = 0;
+            let exclusive = 0;
+            for (let a = addr; a < end; a++) {
+                instructions += this.counts[a];
+                exclusive += this.cycles[a];
+            }
+            const calls = this.calls.get(addr) || 0;
+            const inclusive = calls ? (this.inclusive.get(addr) || 0) + (open.get(addr) || 0) : exclusive;
+            if (instructions || calls) rows.push({ label, addr, calls, instructions, exclusive, inclusive });
+        });
+        return rows;
+    }
+
+    // Largest per-address T-state count, to scale the heatmap
+    peak() {
+        let max = 0;
+        for (let a = 0; a < 0x10000; a++) if (this.cycles[a] > max) max = this.cycles[a];
+        return max;
+    }
+
+    /**
+     * Heatmap colour for a T-state count, on a log scale so cold code stays visible.
+     * @returns {string} CSS colour, or '' for code that never ran.
+     */
+    static heat(cycles, peak) {
+        if (!cycles || !peak) return '';
+        const k = Math.log(cycles + 1) / Math.log(peak + 1);
+        return `rgba(255, ${Math.round(160 - 120 * k)}, 0, ${(0.15 + 0.55 * k).toFixed(2)})`;
+    }
+}
+
+/**
+ * Expression compiler shared by the assembler (operands) and the debugger (conditions, addresses).
+ * Numbers: 10, 0x1F, 1Fh, $1F, %1010, 0b1010, 1010b, 'A'. HIGH x / LOW x, unary - + ~ !, binary operators
+ * with C precedence (comparisons give 1/0, <> is !=), [ ] groups. What names, $ and ( ) mean is up to the caller.
+ */
+class Expression {
+    /**
+     * @param {string} text
+     * @param {object} hooks - name(NAME, token): function(ctx) for a name or $ (upper-cased), or null if unknown;
+     *   it may throw its own error instead. paren(fn): function(ctx) for ( ), grouping when omitted.
+     *   kind: prefix for syntax errors ('Expression' when omitted).
+     * @returns {function(*): number} Evaluates the expression with the caller's context (the CPU for the debugger).
+     */
+    static compile(text, hooks) {
+        const expr = text.trim();
+        const tokens = expr.match(/'[^']*'?|\$[0-9A-Fa-f]*|[0-9][0-9A-Za-z_]*|[A-Za-z_.][\w.]*|==|!=|<>|<=|>=|<<|>>|&&|\|\||\S/g) || [];
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const take = (t) => { if (tokens[pos] === t) { pos++; return true; } return false; };
+        const fail = (msg) => { throw new Error(`${hooks.kind || 'Expression'} "${expr}": ${msg}`); };
+        const constant = (v) => () => v;
+
+        const binary = (next, ops) => () => {
+            let left = next();
+            for (;;) {
+                const op = peek();
+                if (!ops[op]) return left;
+                pos++;
+                const l = left, r = next(), f = ops[op];
+                left = (ctx) => f(l(ctx), r(ctx));
+            }
+        };
+        const unary = (f) => { const e = primary(); return (ctx) => f(e(ctx)); };
+
+        const number = (t) => {
+            let m;
+            if ((m = /^0x([0-9A-F]+)$/i.exec(t))) return parseInt(m[1], 16);
+            if ((m = /^([0-9][0-9A-F]*)H$/i.exec(t))) return parseInt(m[1], 16);
+            if ((m = /^0b([01]+)$/i.exec(t)) || (m = /^([01]+)B$/i.exec(t))) return parseInt(m[1], 2);
+            if (/^[0-9]+$/.test(t)) return parseInt(t, 10);
+            return fail(`invalid number ${t}`);
+        };
+
+        const primary = () => {
+            const t = tokens[pos++];
+            if (t === undefined) fail('unexpected end');
+            if (t === '(') {
+                const e = parse();
+                if (!take(')')) fail('missing )');
+                return hooks.paren ? hooks.paren(e) : e;
+            }
+            if (t === '[') {
+                const e = parse();
+                if (!take(']')) fail('missing ]');
+                return e;
+            }
+            if (t === '-') return unary(a => -a);
+            if (t === '+') return primary();
+            if (t === '~') return unary(a => ~a);
+            if (t === '!') return unary(a => a ? 0 : 1);
+            if (t === '%') { // %1010 in operand position; binary % is modulo
+                const b = tokens[pos++];
+                if (!/^[01]+$/.test(b || '')) fail('invalid binary number');
+                return constant(parseInt(b, 2));
+            }
+            if (t[0] === '\'') {
+                if (t.length !== 3 || !t.endsWith('\'')) fail(`character literal must be one character: ${t}`);
+                return constant(t.charCodeAt(1));
+            }
+            if (t[0] === '$' && t.length > 1) return constant(parseInt(t.slice(1), 16));
+            if (/^[0-9]/.test(t)) return constant(number(t));
+
+            const u = t.toUpperCase();
+            if (u === 'HIGH') return unary(a => (a >> 8) & 0xFF);
+            if (u === 'LOW') return unary(a => a & 0xFF);
+            if (t === '$' || /^[A-Z_.]/.test(u)) return hooks.name(u, t) || fail(`unknown name ${t}`);
+            return fail(`unexpected ${t}`);
+        };
+
+        const div = (a, b, f) => { if (!b) fail('division by zero'); return f(a, b); };
+        const mul = binary(primary, {
+            '*': (a, b) => a * b, '/': (a, b) => div(a, b, (x, y) => Math.trunc(x / y)), '%': (a, b) => div(a, b, (x, y) => x % y)
+        });
+        const add = binary(mul, { '+': (a, b) => a + b, '-': (a, b) => a - b });
+        const shift = binary(add, { '<<': (a, b) => a << b, '>>': (a, b) => a >> b });
+        const rel = binary(shift, { '<': (a, b) => +(a < b), '<=': (a, b) => +(a <= b), '>': (a, b) => +(a > b), '>=': (a, b) => +(a >= b) });
+        const eq = binary(rel, { '==': (a, b) => +(a === b), '!=': (a, b) => +(a !== b), '<>': (a, b) => +(a !== b) });
+        const band = binary(eq, { '&': (a, b) => a & b });
+        const bxor = binary(band, { '^': (a, b) => a ^ b });
+        const bor = binary(bxor, { '|': (a, b) => a | b });
+        const and = binary(bor, { '&&': (a, b) => +(a && b) });
+        const parse = binary(and, { '||': (a, b) => +(a || b) });
+
+        if (!tokens.length) fail('empty');
+        const fn = parse();
+        if (pos < tokens.length) fail(`unexpected ${tokens[pos]}`);
+        return fn;
+    }
+}
+
+/**
+ * Breakpoints on PC addresses or source lines, with optional conditions and hit counts.
+ * Conditions are C-like expressions over registers, flags and memory, e.g. `A==0x3F && (HL)>10`:
+ *   registers A F B C D E H L I R AF BC DE HL IX IY SP PC, flags SF ZF HF PF/VF NF CF (0/1),
+ *   $ is PC, (expr) reads a memory byte as in Z80 syntax, [expr] groups, and labels resolve to addresses.
+ *   Numbers and operators are those of the assembler (see Expression).
+ */
+class BreakpointManager {
+    constructor(symbols = () => ({})) {
+        this.symbols = symbols; // Returns the label table used in expressions
+        this.list = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * @param {object} spec - { addr, line, file, condition, hitCount, enabled }. addr may be a number or an expression string.
+     *   line is within file ('' or omitted for the main source). Without addr and line the breakpoint is checked
+     *   before every instruction (condition only).
+     * @returns {object} The new breakpoint.
+     */
+    add(spec) {
+        const bp = {
+            id: this.nextId++,
+            addr: null,
+            line: spec.line === undefined ? null : spec.line,
+            file: spec.file || '',
+            condition: (spec.condition || '').trim(),
+            test: null,
+            hitCount: Math.max(1, spec.hitCount | 0), // Break on this hit and every one after it
+            hits: 0,
+            enabled: spec.enabled !== false,
+            temporary: !!spec.temporary // Removed when it fires
+        };
+        if (spec.addr !== undefined && spec.addr !== null && spec.addr !== '') {
+            bp.addr = (typeof spec.addr === 'number') ? spec.addr : this.evaluate(String(spec.addr));
+            bp.addr &= 0xFFFF;
+        }
+        if (bp.condition) bp.test = this.compile(bp.condition);
+        this.list.push(bp);
+        return bp;
+    }
+
+    remove(id) { this.list = this.list.filter(bp => bp.id !== id); }
+    clear() { this.list = []; }
+    get(id) { return this.list.find(bp => bp.id === id); }
+    setEnabled(id, enabled) { const bp = this.get(id); if (bp) bp.enabled = enabled; }
+    resetHits() { this.list.forEach(bp => bp.hits = 0); }
+
+    findLine(line, file = '') { return this.list.find(bp => bp.line === line && bp.file === file); }
+    toggleLine(line, file = '') {
+        const bp = this.findLine(line, file);
+        if (bp) this.remove(bp.id);
+        else this.add({ line, file });
+    }
+    // Plain address breakpoints only (no line, no condition)
+    findAddr(addr) { return this.list.find(bp => bp.addr === addr && bp.line === null && !bp.test); }
+    toggleAddr(addr) {
+        const bp = this.findAddr(addr);
+        if (bp) this.remove(bp.id);
+        else this.add({ addr });
+    }
+
+    // Match without counting a hit (stepping off a breakpoint before Run, Reverse Continue)
+    matches(cpu, line, file = '', withCondition = true) {
+        return this.list.some(bp => bp.enabled &&
+            (bp.addr === null || bp.addr === cpu.reg.PC) &&
+            (bp.line === null || (bp.line === line && bp.file === (file || ''))) &&
+            (bp.addr !== null || bp.line !== null || withCondition) &&
+            (!withCondition || !bp.test || bp.test(cpu)));
+    }
+
+    /**
+     * Call before executing the instruction at PC.
+     * @param {Z80} cpu
+     * @param {number} line - Source line of PC (ASM.sourceMap[PC]).
+     * @param {string} file - File of that line (ASM.fileMap[PC]).
+     * @returns {object|null} The breakpoint that fires, or null.
+     */
+    check(cpu, line, file = '') {
+        if (this.list.length === 0) return null;
+        const pc = cpu.reg.PC;
+        for (const bp of this.list) {
+            if (!bp.enabled) continue;
+            if (bp.addr !== null && bp.addr !== pc) continue;
+            if (bp.line !== null && (bp.line !== line || bp.file !== (file || ''))) continue;
+            if (bp.test && !bp.test(cpu)) continue;
+            bp.hits++;
+            if (bp.hits < bp.hitCount) continue;
+            if (bp.temporary) this.remove(bp.id);
+            return bp;
+        }
+        return null;
+    }
+
+    describe(bp) {
+        let s = (bp.addr !== null) ? `PC=${bp.addr.toString(16).toUpperCase().padStart(4, '0')}` :
+            (bp.line !== null) ? `${bp.file ? `${bp.file} line` : 'Line'} ${bp.line}` : 'Always';
+        if (bp.condition) s += ` if ${bp.condition}`;
+        if (bp.hitCount > 1) s += ` (hit ${bp.hitCount})`;
+        return s;
+    }
+
+    // Evaluate an expression once (addresses and values typed in the UI). Registers and memory need a CPU.
+    // Labels win over register names here, so a label L is an address rather than register L.
+    evaluate(expr, cpu = null) {
+        const fn = this.compile(expr, true);
+        if (fn.usesCpu && !cpu) throw new Error(`"${expr}" must be a constant or label`);
+        return fn(cpu);
+    }
+
+    /**
+     * Compile an expression (see Expression) into a function of the CPU returning a number.
+     * Names are registers, flags and labels; $ is PC and (expr) reads a memory byte.
+     * @param {string} expr
+     * @param {boolean} labelsFirst - A label shadows the register or flag of the same name.
+     * @returns {function(Z80): number} With usesCpu set when it reads registers, flags or memory.
+     */
+    compile(expr, labelsFirst = false) {
+        const R8 = ['A', 'F', 'B', 'C', 'D', 'E', 'H', 'L', 'I', 'R'];
+        const R16 = {
+            AF: r => (r.A << 8) | r.F, BC: r => (r.B << 8) | r.C, DE: r => (r.D << 8) | r.E, HL: r => (r.H << 8) | r.L,
+            IX: r => r.IX, IY: r => r.IY, SP: r => r.SP, PC: r => r.PC
+        };
+        const FLAGS = { SF: 0x80, ZF: 0x40, HF: 0x10, PF: 0x04, VF: 0x04, NF: 0x02, CF: 0x01 };
+        const labels = this.symbols();
+        let usesCpu = false;
+        const fromCpu = (f) => { usesCpu = true; return f; };
+        // Looked up on every evaluation, so a condition follows a label that moves when the source is reassembled.
+        // A name that is not a label is rejected now, unless nothing has been assembled yet.
+        const label = (u, t) => {
+            if (labels[u] === undefined && Object.keys(labels).length) return null;
+            return () => {
+                const v = this.symbols()[u];
+                if (v === undefined) throw new Error(`Condition "${expr.trim()}": unknown name ${t}`);
+                return v;
+            };
+        };
+
+        const fn = Expression.compile(expr, {
+            kind: 'Condition',
+            name: (u, t) => {
+                if (labelsFirst && labels[u] !== undefined) return label(u, t);
+                if (u === '$') return fromCpu((cpu) => cpu.reg.PC);
+                if (R8.includes(u)) return fromCpu((cpu) => cpu.reg[u]);
+                if (R16[u]) { const f = R16[u]; return fromCpu((cpu) => f(cpu.reg)); }
+                if (FLAGS[u]) { const m = FLAGS[u]; return fromCpu((cpu) => (cpu.reg.F & m) ? 1 : 0); }
+                return label(u, t);
+            },
+            paren: (a) => fromCpu((cpu) => cpu.mem.read(a(cpu) & 0xFFFF)) // Memory byte, as in Z80 operand syntax
+        });
+        fn.usesCpu = usesCpu;
+        return fn;
+    }
+}
+
+/**
+ * Memory and I/O watchpoints. While any are enabled the manager is installed as the `watcher`
+ * of Memory and IOController; a matching access is latched in `hit` and the caller stops after
+ * the current instruction completes.
+ * Memory watchpoints: access 'read' (includes opcode fetches), 'write', 'rw' or 'change' (write of a different value)
+ * over start..end. I/O watchpoints: access 'in', 'out' or 'io' on a port, optionally only for one value.
+ */
+class WatchpointManager {
+    constructor(cpu, mem, io) {
+        this.cpu = cpu;
+        this.mem = mem;
+        this.io = io;
+        this.list = [];
+        this.nextId = 1;
+        this.hit = null;
+        this.armed = false; // Accesses only count while the caller is executing instructions
+        this.lastOut = new Array(256).fill(null); // Previous value written to each port
+    }
+
+    // Run fn with watchpoints armed
+    watch(fn) {
+        this.armed = true;
+        try { return fn(); } finally { this.armed = false; }
+    }
+
+    /**
+     * @param {object} spec - { type: 'mem'|'io', access, start, end, port, value, enabled }
+     * @returns {object} The new watchpoint.
+     */
+    add(spec) {
+        const wp = {
+            id: this.nextId++,
+            type: spec.type === 'io' ? 'io' : 'mem',
+            access: spec.access || (spec.type === 'io' ? 'io' : 'write'),
+            start: 0, end: 0, port: 0,
+            value: (spec.value === undefined || spec.value === null || spec.value === '') ? null : spec.value & 0xFF,
+            hits: 0,
+            enabled: spec.enabled !== false
+        };
+        const valid = (wp.type === 'io') ? ['in', 'out', 'io'] : ['read', 'write', 'rw', 'change'];
+        if (!valid.includes(wp.access)) throw new Error(`Invalid ${wp.type} watch access: ${wp.access}`);
+        if (wp.type === 'io') wp.port = spec.port & 0xFF;
+        else {
+            wp.start = spec.start & 0xFFFF;
+            wp.end = (spec.end === undefined || spec.end === null) ? wp.start : spec.end & 0xFFFF;
+            if (wp.end < wp.start) throw new Error('Watch range end is before start');
+        }
+        this.list.push(wp);
+        this.sync();
+        return wp;
+    }
+
+    remove(id) { this.list = this.list.filter(wp => wp.id !== id); this.sync(); }
+    clear() { this.list = []; this.hit = null; this.sync(); }
+    setEnabled(id, enabled) { const wp = this.list.find(w => w.id === id); if (wp) wp.enabled = enabled; this.sync(); }
+    resetHits() { this.list.forEach(wp => wp.hits = 0); this.hit = null; }
+
+    // Only hook the buses while something is being watched, reads are on the hot path
+    sync() {
+        const active = this.list.some(wp => wp.enabled);
+        this.mem.watcher = active ? this : null;
+        this.io.watcher = active ? this : null;
+    }
+
+    describe(wp) {
+        const h = (n, d) => n.toString(16).toUpperCase().padStart(d, '0');
+        if (wp.type === 'io') {
+            return `IO ${wp.access.toUpperCase()} port ${h(wp.port, 2)}` + (wp.value !== null ? ` = ${h(wp.value, 2)}` : '');
+        }
+        return `MEM ${wp.access.toUpperCase()} ${h(wp.start, 4)}` + (wp.end !== wp.start ? `-${h(wp.end, 4)}` : '');
+    }
+
+    // The first access in an instruction wins; later ones are ignored until the caller clears hit
+    latch(wp, kind, addr, oldVal, newVal) {
+        if (!this.armed) return; // Ignore UI reads and state restores between steps
+        wp.hits++;
+        if (!this.hit) this.hit = { wp, kind, addr, old: oldVal, new: newVal, pc: this.cpu.instrPC };
+    }
+
+    memRead(addr, v) {
+        for (const wp of this.list) {
+            if (wp.enabled && wp.type === 'mem' && (wp.access === 'read' || wp.access === 'rw') &&
+                addr >= wp.start && addr <= wp.end) this.latch(wp, 'read', addr, v, v);
+        }
+    }
+
+    memWrite(addr, oldVal, newVal) {
+        for (const wp of this.list) {
+            if (!wp.enabled || wp.type !== 'mem' || addr < wp.start || addr > wp.end) continue;
+            if (wp.access === 'write' || wp.access === 'rw' || (wp.access === 'change' && oldVal !== newVal)) {
+                this.latch(wp, 'write', addr, oldVal, newVal);
+            }
+        }
+    }
+
+    ioIn(port, v) {
+        for (const wp of this.list) {
+            if (wp.enabled && wp.type === 'io' && wp.access !== 'out' && wp.port === port &&
+                (wp.value === null || wp.value === v)) this.latch(wp, 'in', port, v, v);
+        }
+    }
+
+    ioOut(port, v) {
+        const prev = this.lastOut[port];
+        this.lastOut[port] = v;
+        for (const wp of this.list) {
+            if (wp.enabled && wp.type === 'io' && wp.access !== 'in' && wp.port === port &&
+                (wp.value === null || wp.value === v)) this.latch(wp, 'out', port, prev, v);
+        }
+    }
+
+    // Status text for the latched hit
+    message(hit = this.hit) {
+        const h = (n, d) => (n === null || n === undefined) ? '--' : n.toString(16).toUpperCase().padStart(d, '0');
+        const where = (hit.kind === 'in' || hit.kind === 'out') ? `port ${h(hit.addr, 2)}` : h(hit.addr, 4);
+        return `Watchpoint #${hit.wp.id} (${this.describe(hit.wp)}): ${hit.kind} ${where} at PC=${h(hit.pc, 4)}, ` +
+            `old ${h(hit.old, 2)} -> new ${h(hit.new, 2)}`;
+    }
+}
+
+class Assembler {
+    constructor() {
+        this.sourceMap = [];
+        this.fileMap = [];
+        this.dataMap = [];
+        this.labels = {};
+        this.files = {};
+        this.fileName = '';
+        this.diagnostics = [];
+        this.here = 0; // Address of the statement being assembled ($ in expressions)
+    }
+
+    /**
+     * Evaluate an operand expression (see Expression). Names are labels, $ is the address of the
+     * current instruction, and ( ) group.
+     * @param {string} s - Expression text.
+     * @param {boolean} dummyMode - Pass 1: labels not defined yet count as 0 instead of failing.
+     * @returns {number}
+     */
+    parseNumber(s, dummyMode = false) {
+        return Expression.compile(s, {
+            name: (u, t) => {
+                if (u === '$') return () => this.here;
+                if (this.labels[u] !== undefined) { const v = this.labels[u]; return () => v; }
+                if (dummyMode) return () => 0; // Defined later; pass 2 has the value
+                throw new Error(`Undefined Label: ${t}`);
+            }
+        })();
+    }
+
+    // Range-checked operands. Pass 1 only sizes instructions, so values are not checked there.
+    static describe(s, v) { return String(v) === s.trim() ? s.trim() : `${s.trim()} = ${v}`; }
+
+    imm8(s, dummyMode) {
+        const v = this.parseNumber(s, dummyMode);
+        if (!dummyMode && (v < -128 || v > 255)) throw new Error(`8-bit value out of range: ${Assembler.describe(s, v)}`);
+        return v & 0xFF;
+    }
+
+    imm16(s, dummyMode) {
+        const v = this.parseNumber(s, dummyMode);
+        if (!dummyMode && (v < -32768 || v > 65535)) throw new Error(`16-bit value out of range: ${Assembler.describe(s, v)}`);
+        return v & 0xFFFF;
+    }
+
+    // JR/DJNZ offset from the instruction at addr to target
+    relative(s, addr, dummyMode) {
+        const offset = this.parseNumber(s, dummyMode) - (addr + 2);
+        if (!dummyMode && (offset < -128 || offset > 127)) throw new Error(`Relative jump out of range: ${s} (${offset})`);
+        return offset & 0xFF;
+    }
+
+    // Whole operand in parentheses, i.e. a memory/port address: "(BUF+1)" but not "(W*2)-1"
+    isIndirect(s) {
+        if (!s.startsWith('(') || !s.endsWith(')')) return false;
+        let depth = 0;
+        for (let i = 0; i < s.length; i++) {
+            if (s[i] === '(') depth++;
+            else if (s[i] === ')' && --depth === 0) return i === s.length - 1;
+        }
+        return false;
+    }
+
+    // (IX+d) / (IY-d) / (IX): prefix and displacement byte, or null for any other operand
+    parseIndexed(s, dummyMode) {
+        const m = /^\(\s*(IX|IY)\s*(?:([+-])(.*))?\)$/i.exec(s.trim());
+        if (!m) return null;
+        const d = m[2] ? this.parseNumber(`0${m[2]}${m[3]}`, dummyMode) : 0;
+        if (!dummyMode && (d < -128 || d > 127)) throw new Error(`Index displacement out of range: ${s}`);
+        return { pre: m[1].toUpperCase() === 'IX' ? 0xDD : 0xFD, off: d & 0xFF };
+    }
+
+    // Source text before the first ';' outside quotes (AF' is not a quote)
+    stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) { if (ch === quote) quote = null; }
+            else if (ch === '"' || (ch === '\'' && !/AF$/i.test(line.slice(0, i)))) quote = ch;
+            else if (ch === ';') return line.slice(0, i);
+        }
+        return line;
+    }
+
+    /**
+     * Split one statement into label, mnemonic and comma-separated operands (commas inside
+     * quotes or brackets do not split).
+     * @param {string} text - Statement without comment.
+     * @returns {object} { label, mnemonic, args }. label is null when absent, mnemonic '' for a label-only line.
+     */
+    parseStatement(text) {
+        let rest = text.trim();
+        let label = null;
+        const first = rest.split(/\s/)[0];
+        if (first.endsWith(':')) {
+            label = first.slice(0, -1).toUpperCase();
+            rest = rest.slice(first.length).trim();
+        }
+        const sp = rest.search(/\s/);
+        const mnemonic = (sp < 0 ? rest : rest.slice(0, sp)).toUpperCase();
+        const operands = sp < 0 ? '' : rest.slice(sp);
+        return { label, mnemonic, args: this.splitOperands(operands), operands };
+    }
+
+    /**
+     * Comma-separated list; commas inside quotes or brackets do not split.
+     * @param {string} text
+     * @param {boolean} groups - Macro arguments: an argument in < > is taken as is, commas included, without the < >.
+     * @returns {string[]}
+     */
+    splitOperands(text, groups = false) {
+        const operands = text.trim();
+        const args = [];
+        let cur = '';
+        let depth = 0;
+        let quote = null;
+        let group = false; // Inside < >
+        for (let i = 0; i < operands.length; i++) {
+            const ch = operands[i];
+            if (group) { if (ch === '>') group = false; }
+            else if (quote) { if (ch === quote) quote = null; }
+            else if (groups && ch === '<' && !cur.trim()) group = true;
+            else if (ch === '"' || (ch === '\'' && !/AF$/i.test(cur))) quote = ch;
+            else if (ch === '(' || ch === '[') depth++;
+            else if (ch === ')' || ch === ']') depth--;
+            else if (ch === ',' && depth === 0) { args.push(cur); cur = ''; continue; }
+            cur += ch;
+        }
+        if (operands) args.push(cur);
+        if (groups) return args.map(a => a.trim().replace(/^<(.*)>$/, '$1'));
+        // "( HL )" -> "(HL)" so register operands compare exactly
+        return args.map(a => a.trim().replace(/\(\s+/g, '(').replace(/\s+\)/g, ')'));
+    }
+
+    /**
+     * Recognise the first line of a block that runs to ENDM:
+     * NAME MACRO p1, p2 (or MACRO NAME p1, p2), REPT count, IRP sym, v1, v2 (the list may be in < >).
+     * @param {string} text - Line without comment.
+     * @returns {object|null} { type: 'MACRO', name, params } / { type: 'REPT', count } / { type: 'IRP', param, values }
+     */
+    parseBlockHeader(text) {
+        let m;
+        if ((m = /^([A-Za-z_.][\w.]*):?\s+MACRO\b(.*)$/i.exec(text)) || (m = /^MACRO\s+([A-Za-z_.][\w.]*)\s*,?(.*)$/i.exec(text))) {
+            return { type: 'MACRO', name: m[1].toUpperCase(), params: this.splitOperands(m[2]).map(p => p.toUpperCase()) };
+        }
+        if ((m = /^REPT\s+(.+)$/i.exec(text))) return { type: 'REPT', count: m[1] };
+        if ((m = /^IRP\s+([A-Za-z_.][\w.]*)\s*,(.*)$/i.exec(text))) {
+            const list = m[2].trim().replace(/^<(.*)>$/, '$1');
+            return { type: 'IRP', param: m[1].toUpperCase(), values: this.splitOperands(list) };
+        }
+        return null;
+    }
+
+    // Index of the ENDM (or ENDR) closing the block that starts at queue[q], counting nested blocks
+    findEndm(queue, q) {
+        let depth = 0;
+        for (let j = q + 1; j < queue.length; j++) {
+            const t = this.stripComment(queue[j].text).trim();
+            if (this.parseBlockHeader(t)) depth++;
+            else if (/^(ENDM|ENDR)\b/i.test(t) && depth-- === 0) return j;
+        }
+        throw new Error('MACRO, REPT or IRP without ENDM');
+    }
+
+    // Replace whole names (case-insensitive) outside quotes
+    substitute(text, map) {
+        return text.replace(/AF'|'[^']*'|"[^"]*"|[A-Za-z_.][\w.]*/gi, t => {
+            const v = map[t.toUpperCase()];
+            return v !== undefined ? v : t;
+        });
+    }
+
+    /**
+     * One copy of a block body for the queue. LOCAL names get a suffix unique to this copy.
+     * @param {string[]} body - Raw body lines.
+     * @param {object} map - Upper-case parameter name -> argument text.
+     * @param {object} item - Queue entry of the invoking line; expanded lines keep its line number.
+     * @returns {object[]} Queue entries.
+     */
+    instantiate(body, map, item) {
+        if (item.depth >= 32) throw new Error('Macro expansion nested too deeply');
+        const n = ++this.expansions;
+        const names = Object.assign({}, map);
+        const lines = [];
+        body.forEach(text => {
+            const local = /^\s*LOCAL\s+(.+)$/i.exec(this.stripComment(text));
+            if (local) this.splitOperands(local[1]).forEach(l => names[l.toUpperCase()] = `${l.toUpperCase()}__${n}`);
+            else lines.push(text);
+        });
+        return lines.map(text => ({ text: this.substitute(text, names), line: item.line, file: item.file, incl: item.incl, depth: item.depth + 1 }));
+    }
+
+    // Quoted operand of INCLUDE / INCBIN -> { name, data } from the files passed to assemble()
+    fileContents(arg) {
+        const m = /^(['"])(.+)\1$/.exec((arg || '').trim());
+        if (!m) throw new Error(`File name must be quoted: ${arg || ''}`);
+        const names = Object.keys(this.files);
+        const name = names.find(n => n === m[2]) || names.find(n => n.toLowerCase() === m[2].toLowerCase());
+        if (name === undefined) throw new Error(`File not found: ${m[2]}`);
+        return { name, data: this.files[name] };
+    }
+
+    // INCBIN "file"[, skip[, count]]: bytes of a binary asset (a string counts as its character codes)
+    incbin(args) {
+        const { name, data } = this.fileContents(args[0]);
+        const size = data.length;
+        const skip = args[1] ? this.imm16(args[1], false) : 0;
+        const count = args[2] ? this.imm16(args[2], false) : size - skip;
+        if (skip + count > size || count < 0) throw new Error(`INCBIN range outside ${name} (${size} bytes)`);
+        const bytes = new Array(count);
+        for (let i = 0; i < count; i++) {
+            bytes[i] = (typeof data === 'string' ? data.charCodeAt(skip + i) : data[skip + i]) & 0xFF;
+        }
+        return bytes;
+    }
+
+    /**
+     * Record an error or warning at this.currentFile / currentLine. The column is that of the expression
+     * the message quotes (Expression "1/0": ...) or of the name or operand it ends with ("Undefined Label: FOO")
+     * when that is on the line, else of the statement.
+     * @param {string} severity - 'error' or 'warning'.
+     * @param {string} message
+     * @param {string} text - Source line.
+     * @param {number} start - Index in text where the statement starts.
+     */
+    diagnose(severity, message, text = '', start = 0) {
+        const d = { severity, file: this.currentFile, line: this.currentLine, column: start + 1, message };
+        const quoted = /^Expression "(.*)": /.exec(message);
+        const tail = /:\s*(.+)$/.exec(message);
+        const token = quoted ? quoted[1].trim() : tail && tail[1].split(/ = | \(|, /)[0].trim();
+        if (token) {
+            const esc = token.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            const m = new RegExp(`(^|[^\\w.])${esc}(?![\\w.])`, 'i').exec(text.slice(start));
+            if (m) d.column = start + m.index + m[1].length + 1;
+        }
+        // REPT copies and macro expansions repeat the same problem on one line
+        const seen = this.diagnostics.some(o => o.file === d.file && o.line === d.line && o.column === d.column && o.message === d.message);
+        if (!seen && this.diagnostics.length < 500) this.diagnostics.push(d);
+    }
+
+    // Undocumented 8-bit halves of IX/IY: prefix plus the H (4) / L (5) register code they replace
+    parseIndexHalf(s) {
+        const m = { IXH: [0xDD, 4], IXL: [0xDD, 5], IYH: [0xFD, 4], IYL: [0xFD, 5] }[s.toUpperCase()];
+        return m ? { pre: m[0], code: m[1] } : null;
+    }
+
+    // Undocumented DDCB/FDCB form, e.g. RLC (IX+d), B: the result is also copied to the register.
+    // Returns the register code for the low 3 bits (6 = memory only).
+    parseCopyReg(mnemonic, s) {
+        if (!s) return 6;
+        const code = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 }[s.toUpperCase()];
+        if (code === undefined) throw new Error(`Invalid Register Copy for ${mnemonic}: ${s}`);
+        return code;
+    }
+
+    emitInstruction(mnemonic, args, addr, dummyMode) {
+        const bytes = [];
+        const fetch = (n) => bytes.push(n); // Helper if needed, but we push directly
+
+        if (mnemonic === 'PUSH') {
+            const r = args[0].toUpperCase();
+            if (r === 'IX') bytes.push(0xDD, 0xE5);
+            else if (r === 'IY') bytes.push(0xFD, 0xE5);
+            else {
+                const m = { BC: 0xC5, DE: 0xD5, HL: 0xE5, AF: 0xF5 };
+                if (m[r]) bytes.push(m[r]);
+                else throw new Error(`Invalid Operand for PUSH: ${r}`);
+            }
+        }
+        else if (mnemonic === 'POP') {
+            const r = args[0].toUpperCase();
+            if (r === 'IX') bytes.push(0xDD, 0xE1);
+            else if (r === 'IY') bytes.push(0xFD, 0xE1);
+            else {
+                const m = { BC: 0xC1, DE: 0xD1, HL: 0xE1, AF: 0xF1 };
+                if (m[r]) bytes.push(m[r]);
+                else throw new Error(`Invalid Operand for POP: ${r}`);
+            }
+        }
+        else if (mnemonic === 'INC' || mnemonic === 'DEC') {
+            const r = args[0].toUpperCase();
+            const isInc = mnemonic === 'INC';
+            const base8 = isInc ? 0x04 : 0x05;
+            const base16 = isInc ? 0x03 : 0x0B;
+
+            const half = this.parseIndexHalf(r);
+
+            if (r === 'IX') bytes.push(0xDD, isInc ? 0x23 : 0x2B);
+            else if (r === 'IY') bytes.push(0xFD, isInc ? 0x23 : 0x2B);
+            else if (half) bytes.push(half.pre, base8 | (half.code << 3)); // INC IXH etc.
+            else if (this.parseIndexed(r, dummyMode)) {
+                const idx = this.parseIndexed(r, dummyMode);
+                bytes.push(idx.pre, isInc ? 0x34 : 0x35, idx.off);
+            }
+            else {
+                const rMap8 = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
+                const rMap16 = { BC: 0, DE: 1, HL: 2, SP: 3 };
+
+                if (rMap8[r] !== undefined) bytes.push(base8 | (rMap8[r] << 3));
+                else if (rMap16[r] !== undefined) bytes.push(base16 | (rMap16[r] << 4));
+                else throw new Error(`Invalid Operand for ${mnemonic}: ${r}`);
+            }
+        }
+        else if (['ADD', 'SUB', 'AND', 'OR', 'XOR', 'CP', 'ADC', 'SBC'].includes(mnemonic)) {
+
+
+            // ADD IX/IY, ss
+            if (mnemonic === 'ADD' && (args[0].toUpperCase() === 'IX' || args[0].toUpperCase() === 'IY')) {
+                const ix = args[0].toUpperCase() === 'IX';
+                const ss = args[1].toUpperCase();
+                const sMap = { BC: 0x09, DE: 0x19, IX: 0x29, IY: 0x29, SP: 0x39 };
+                const code = sMap[ss];
+                if (code !== undefined) bytes.push(ix ? 0xDD : 0xFD, code);
+                else if (ss === (ix ? 'IX' : 'IY')) bytes.push(ix ? 0xDD : 0xFD, 0x29); // Handle self-add properly
+                else bytes.push(0x00, 0x00);
+                return bytes;
+            }
+            // 16-bit ADD IX/IY, ss (Wait, duplicated block in original, simplified here)
+            // The original code had two blocks for ADD IX/IY. I will check.
+            // The first block: sMap has IX/IY.
+            // The second block: sMap has { BC: 0x09, DE: 0x19, SP: 0x39 }.
+            // I'll stick to the first one which covers all, effectively.
+
+            // ALU A, r (Implicit A)
+            let r = args[0];
+            if (args.length > 1 && ['ADD', 'ADC', 'SUB', 'SBC', 'AND', 'OR', 'XOR', 'CP'].includes(mnemonic)) r = args[1];
+
+            let rUpper = r.toUpperCase();
+
+
+
+            // 16-bit Arithmetic (ADD HL, ss / ADC HL, ss / SBC HL, ss)
+            const rpMap = { BC: 0, DE: 1, HL: 2, SP: 3 };
+            const r0 = args[0].toUpperCase();
+            const r1 = args[1] ? args[1].toUpperCase() : '';
+
+
+            if (r0 === 'HL' && rpMap[r1] !== undefined) {
+                const ss = rpMap[r1];
+                if (mnemonic === 'ADD') {
+                    // ADD HL, ss (09, 19, 29, 39)
+                    const bases = [0x09, 0x19, 0x29, 0x39];
+
+                    bytes.push(bases[ss]);
+                    return bytes;
                 } else if (mnemonic === 'ADC') {
                     // ADC HL, ss (ED 4A, 5A, 6A, 7A)
                     const bases = [0x4A, 0x5A, 0x6A, 0x7A];
@@ -1284,22 +2503,19 @@ class Assembler {
             const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
 
             // ALU A, (IX+d)
-            const idxRegex = /\((IX|IY)\s*([+-]\s*0x[0-9A-Fa-f]+|[+-]\s*[0-9]+)?\)/;
-            const idxMatch = rUpper.match(idxRegex);
-            if (idxMatch) {
-                const idxReg = idxMatch[1];
-                let offStr = idxMatch[2] ? idxMatch[2].replace(/\s/g, '') : '+0';
-                const off = this.parseNumber(offStr, dummyMode);
-                const pre = idxReg === 'IX' ? 0xDD : 0xFD;
-                bytes.push(pre, base | 6, off & 0xFF);
+            const idx = this.parseIndexed(r, dummyMode);
+            const half = this.parseIndexHalf(rUpper);
+            if (idx) {
+                bytes.push(idx.pre, base | 6, idx.off);
             }
+            else if (half) bytes.push(half.pre, base + half.code); // ADD A, IXH etc.
             else if (rMap[rUpper] !== undefined) {
                 bytes.push(base + rMap[rUpper]);
             } else {
                 // Try Immediate
-                const n = this.parseNumber(r, dummyMode);
+                const n = this.imm8(r, dummyMode);
                 const immMap = { ADD: 0xC6, ADC: 0xCE, SUB: 0xD6, SBC: 0xDE, AND: 0xE6, XOR: 0xEE, OR: 0xF6, CP: 0xFE };
-                if (immMap[mnemonic]) bytes.push(immMap[mnemonic], n & 0xFF);
+                if (immMap[mnemonic]) bytes.push(immMap[mnemonic], n);
                 else bytes.push(0x00, 0x00);
             }
         }
@@ -1313,52 +2529,61 @@ class Assembler {
             if (a0 === 'A' && a1 === 'I') { bytes.push(0xED, 0x57); return bytes; }
             if (a0 === 'A' && a1 === 'R') { bytes.push(0xED, 0x5F); return bytes; }
 
+            // Undocumented LD with IXH/IXL/IYH/IYL (H and L cannot be mixed in, they become the halves)
+            const half0 = this.parseIndexHalf(a0);
+            const half1 = this.parseIndexHalf(a1);
+            if (half0 || half1) {
+                const pre = (half0 || half1).pre;
+                if (half0 && half1 && half0.pre !== half1.pre) throw new Error(`Cannot mix IX and IY halves: ${a0}, ${a1}`);
+                const rMap = { B: 0, C: 1, D: 2, E: 3, A: 7 };
+                const d = half0 ? half0.code : rMap[a0];
+                const s = half1 ? half1.code : rMap[a1];
+                if (d === undefined) throw new Error(`Invalid LD operands: ${a0}, ${a1}`);
+                if (s !== undefined) bytes.push(pre, 0x40 | (d << 3) | s);
+                else if (!half1 && !/^[HL]$/.test(a1) && !this.isIndirect(a1)) { // LD IXH, n
+                    bytes.push(pre, d === 4 ? 0x26 : 0x2E, this.imm8(args[1], dummyMode));
+                }
+                else throw new Error(`Invalid LD operands: ${a0}, ${a1}`);
+                return bytes;
+            }
+
             // Indexed LD (IX+d)
-            const idxRegex = /\((IX|IY)\s*([+-]\s*0x[0-9A-Fa-f]+|[+-]\s*[0-9]+)?\)/;
-            const idxMatch0 = args[0].match(idxRegex);
-            const idxMatch1 = args[1] ? args[1].match(idxRegex) : null;
+            const idx0 = this.parseIndexed(args[0], dummyMode);
+            const idx1 = args[1] ? this.parseIndexed(args[1], dummyMode) : null;
 
-            if (idxMatch0) {
+            if (idx0) {
                 // LD (IX+d), ...
-                const idxReg = idxMatch0[1];
-                let offStr = idxMatch0[2] ? idxMatch0[2].replace(/\s/g, '') : '+0';
-                const off = this.parseNumber(offStr, dummyMode);
-                const pre = idxReg === 'IX' ? 0xDD : 0xFD;
-
                 const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
                 if (rMap[a1] !== undefined) {
                     // LD (IX+d), r
-                    bytes.push(pre, 0x70 | rMap[a1], off & 0xFF);
+                    bytes.push(idx0.pre, 0x70 | rMap[a1], idx0.off);
                 }
-                else if (a1.match(/^[0-9A-FX]+$/)) { // LD (IX+d), n
-                    const n = this.parseNumber(args[1], dummyMode);
-                    bytes.push(pre, 0x36, off & 0xFF, n & 0xFF);
+                else if (a1 && !this.isIndirect(a1) && !this.parseIndexHalf(a1) && !/^(IX|IY|HL|BC|DE|SP|AF|I|R)$/.test(a1)) { // LD (IX+d), n
+                    bytes.push(idx0.pre, 0x36, idx0.off, this.imm8(args[1], dummyMode));
                 }
+                else throw new Error(`Invalid LD operands: ${args[0]}, ${args[1]}`);
             }
-            else if (idxMatch1) {
+            else if (idx1) {
                 // LD r, (IX+d)
-                const idxReg = idxMatch1[1];
-                let offStr = idxMatch1[2] ? idxMatch1[2].replace(/\s/g, '') : '+0';
-                const off = this.parseNumber(offStr, dummyMode);
-                const pre = idxReg === 'IX' ? 0xDD : 0xFD;
                 const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
                 if (rMap[a0] !== undefined) {
-                    bytes.push(pre, 0x46 | (rMap[a0] << 3), off & 0xFF);
+                    bytes.push(idx1.pre, 0x46 | (rMap[a0] << 3), idx1.off);
                 }
+                else throw new Error(`Invalid LD operands: ${args[0]}, ${args[1]}`);
             }
             // LD IX, nn / LD IY, nn
-            else if (a0 === 'IX' || a0 === 'IY') {
-                const nn = this.parseNumber(args[1], dummyMode);
+            else if ((a0 === 'IX' || a0 === 'IY') && !this.isIndirect(args[1])) {
+                const nn = this.imm16(args[1], dummyMode);
                 bytes.push(a0 === 'IX' ? 0xDD : 0xFD, 0x21, nn & 0xFF, (nn >> 8) & 0xFF);
             }
             // LD (nn), IX / LD (nn), IY
-            else if (args[0].startsWith('(') && (a1 === 'IX' || a1 === 'IY')) {
-                const nn = this.parseNumber(args[0].replace(/[()]/g, ''), dummyMode);
+            else if (this.isIndirect(args[0]) && (a1 === 'IX' || a1 === 'IY')) {
+                const nn = this.imm16(args[0].slice(1, -1), dummyMode);
                 bytes.push(a1 === 'IX' ? 0xDD : 0xFD, 0x22, nn & 0xFF, (nn >> 8) & 0xFF);
             }
             // LD IX, (nn) / LD IY, (nn)
-            else if ((a0 === 'IX' || a0 === 'IY') && args[1].startsWith('(')) {
-                const nn = this.parseNumber(args[1].replace(/[()]/g, ''), dummyMode);
+            else if (a0 === 'IX' || a0 === 'IY') {
+                const nn = this.imm16(args[1].slice(1, -1), dummyMode);
                 bytes.push(a0 === 'IX' ? 0xDD : 0xFD, 0x2A, nn & 0xFF, (nn >> 8) & 0xFF);
             }
             // LD SP, IX / LD SP, IY
@@ -1366,8 +2591,8 @@ class Assembler {
                 bytes.push(a1 === 'IX' ? 0xDD : 0xFD, 0xF9);
             }
             // Original LD Logic (Enhanced for BC, DE, SP)
-            else if (args[0].startsWith('(') && a0 !== '(HL)' && a0 !== '(BC)' && a0 !== '(DE)' && a0 !== '(C)') {
-                const nn = this.parseNumber(args[0].replace(/[()]/g, ''), dummyMode);
+            else if (this.isIndirect(args[0]) && a0 !== '(HL)' && a0 !== '(BC)' && a0 !== '(DE)' && a0 !== '(C)') {
+                const nn = this.imm16(args[0].slice(1, -1), dummyMode);
                 if (a1 === 'HL') bytes.push(0x22, nn & 0xFF, (nn >> 8) & 0xFF);
                 else if (a1 === 'BC') bytes.push(0xED, 0x43, nn & 0xFF, (nn >> 8) & 0xFF);
                 else if (a1 === 'DE') bytes.push(0xED, 0x53, nn & 0xFF, (nn >> 8) & 0xFF);
@@ -1375,8 +2600,8 @@ class Assembler {
                 else if (a1 === 'A') bytes.push(0x32, nn & 0xFF, (nn >> 8) & 0xFF);
                 else throw new Error(`Invalid LD (nn), r: ${args[0]}, ${a1}`);
             }
-            else if (args[1] && args[1].startsWith('(') && a1 !== '(HL)' && a1 !== '(BC)' && a1 !== '(DE)' && a1 !== '(C)') {
-                const nn = this.parseNumber(args[1].replace(/[()]/g, ''), dummyMode);
+            else if (args[1] && this.isIndirect(args[1]) && a1 !== '(HL)' && a1 !== '(BC)' && a1 !== '(DE)' && a1 !== '(C)') {
+                const nn = this.imm16(args[1].slice(1, -1), dummyMode);
                 if (a0 === 'HL') bytes.push(0x2A, nn & 0xFF, (nn >> 8) & 0xFF);
                 else if (a0 === 'BC') bytes.push(0xED, 0x4B, nn & 0xFF, (nn >> 8) & 0xFF);
                 else if (a0 === 'DE') bytes.push(0xED, 0x5B, nn & 0xFF, (nn >> 8) & 0xFF);
@@ -1386,7 +2611,7 @@ class Assembler {
             }
             else if (a0.match(/^[BCDEHL]{2}$|SP/)) {
                 const rp = a0;
-                const nn = this.parseNumber(args[1], dummyMode);
+                const nn = this.imm16(args[1], dummyMode);
                 const m = { BC: 0x01, DE: 0x11, HL: 0x21, SP: 0x31 };
                 if (m[rp]) bytes.push(m[rp], nn & 0xFF, (nn >> 8) & 0xFF);
             }
@@ -1405,15 +2630,14 @@ class Assembler {
                 else if (d === '(BC)' && s === 'A') bytes.push(0x02);
                 else if (d === '(DE)' && s === 'A') bytes.push(0x12);
                 else {
-                    const n = this.parseNumber(args[1], dummyMode);
-                    const map = { B: 0x06, C: 0x0E, D: 0x16, E: 0x1E, H: 0x26, L: 0x2D, A: 0x3E, '(HL)': 0x36 };
-                    if (map[d]) bytes.push(map[d], n);
+                    const map = { B: 0x06, C: 0x0E, D: 0x16, E: 0x1E, H: 0x26, L: 0x2E, A: 0x3E, '(HL)': 0x36 };
+                    if (map[d]) bytes.push(map[d], this.imm8(args[1], dummyMode));
                     else throw new Error(`Invalid LD operands: ${d}, ${s}`);
                 }
             }
         }
         else if (mnemonic === 'OUT') {
-            if (args[0].toUpperCase().includes('(C)')) {
+            if (args[0].toUpperCase() === '(C)') {
                 const r = args[1] ? args[1].toUpperCase() : 'A'; // Default to A if generic? No, allow explicit
                 const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
                 if (rMap[r] !== undefined) {
@@ -1424,25 +2648,28 @@ class Assembler {
             } else {
                 // OUT (n), A
                 if (args[1] && args[1].toUpperCase() !== 'A') throw new Error("OUT (n), r only supports A");
-                const n = this.parseNumber(args[0].replace(/[()]/g, ''), dummyMode);
-                bytes.push(0xD3, n);
+                if (!this.isIndirect(args[0])) throw new Error(`Invalid Port for OUT: ${args[0]}`);
+                bytes.push(0xD3, this.imm8(args[0].slice(1, -1), dummyMode));
             }
         }
         else if (mnemonic === 'IN') {
-            if (args[1].toUpperCase().includes('(C)')) {
+            if (args.length === 1 && args[0].toUpperCase() === '(C)') {
+                bytes.push(0xED, 0x70); // IN (C) - Flags only
+            }
+            else if (args[1].toUpperCase() === '(C)') {
                 // IN r, (C)
                 const r = args[0].toUpperCase();
                 const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, A: 7 };
                 if (rMap[r] !== undefined) {
                     bytes.push(0xED, 0x40 | (rMap[r] << 3));
-                } else if (r === '(C)') {
+                } else if (r === 'F') {
                     bytes.push(0xED, 0x70); // IN (C) - Flags only
                 } else throw new Error(`Invalid Operand for IN r, (C): ${r}`);
             } else {
                 // IN A, (n)
                 if (args[0] && args[0].toUpperCase() !== 'A') throw new Error("IN r, (n) only supports A");
-                const n = this.parseNumber(args[1].replace(/[()]/g, ''), dummyMode);
-                bytes.push(0xDB, n);
+                if (!this.isIndirect(args[1])) throw new Error(`Invalid Port for IN: ${args[1]}`);
+                bytes.push(0xDB, this.imm8(args[1].slice(1, -1), dummyMode));
             }
         }
         else if (mnemonic === 'JP') {
@@ -1453,13 +2680,13 @@ class Assembler {
             else if (args.length === 2) {
                 // Conditional JP cc, nn
                 const cc = args[0].toUpperCase();
-                const n = this.parseNumber(args[1], dummyMode);
+                const n = this.imm16(args[1], dummyMode);
                 const codes = { NZ: 0xC2, Z: 0xCA, NC: 0xD2, C: 0xDA, PO: 0xE2, PE: 0xEA, P: 0xF2, M: 0xFA };
                 if (codes[cc]) bytes.push(codes[cc], n & 0xFF, (n >> 8) & 0xFF);
                 else throw new Error(`Invalid Condition for JP: ${cc}`);
             } else {
                 // Unconditional JP nn
-                const n = this.parseNumber(args[0], dummyMode);
+                const n = this.imm16(args[0], dummyMode);
                 bytes.push(0xC3, n & 0xFF, (n >> 8) & 0xFF);
             }
         }
@@ -1470,24 +2697,18 @@ class Assembler {
                 cc = args[0].toUpperCase();
                 label = args[1];
             }
-            const target = this.parseNumber(label, dummyMode);
-            const current = addr;
-            const offset = target - (current + 2); // Relative Jump Calculation!
-
             const ops = { '': 0x18, 'NZ': 0x20, 'Z': 0x28, 'NC': 0x30, 'C': 0x38 };
             if (ops[cc] !== undefined) {
-                bytes.push(ops[cc], offset & 0xFF);
+                bytes.push(ops[cc], this.relative(label, addr, dummyMode));
             } else {
                 throw new Error(`Invalid Condition for JR: ${cc}`);
             }
         }
         else if (mnemonic === 'DJNZ') {
-            const target = this.parseNumber(args[0], dummyMode);
-            const offset = target - (addr + 2);
-            bytes.push(0x10, offset & 0xFF);
+            bytes.push(0x10, this.relative(args[0], addr, dummyMode));
         }
         else if (mnemonic === 'CALL') {
-            const n = this.parseNumber(args[0], dummyMode);
+            const n = this.imm16(args[0], dummyMode);
             bytes.push(0xCD, n & 0xFF, (n >> 8) & 0xFF);
         }
         else if (mnemonic === 'RET') {
@@ -1503,11 +2724,19 @@ class Assembler {
 
 
         else if (mnemonic === 'DB') {
-            args.forEach(arg => bytes.push(this.parseNumber(arg, dummyMode) & 0xFF));
+            args.forEach(arg => {
+                // A quoted string of any other length than one is its characters
+                const str = /^(['"])(.*)\1$/.exec(arg);
+                if (str && (str[1] === '"' || str[2].length !== 1)) {
+                    for (const ch of str[2]) bytes.push(ch.charCodeAt(0) & 0xFF);
+                }
+                else bytes.push(this.imm8(arg, dummyMode));
+            });
         }
+        else if (mnemonic === 'INCBIN') bytes.push(...this.incbin(args));
         else if (mnemonic === 'DW') {
             args.forEach(arg => {
-                const val = this.parseNumber(arg, dummyMode);
+                const val = this.imm16(arg, dummyMode);
                 bytes.push(val & 0xFF, (val >> 8) & 0xFF);
             });
         }
@@ -1516,43 +2745,37 @@ class Assembler {
         else if (mnemonic === 'RLA') bytes.push(0x17);
         else if (mnemonic === 'RRA') bytes.push(0x1F);
         else if (mnemonic === 'CPL') bytes.push(0x2F);
-        else if (['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SRL'].includes(mnemonic)) {
+        else if (['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SL1', 'SRL'].includes(mnemonic)) {
             const r = args[0];
-            const baseMap = { RLC: 0x00, RRC: 0x08, RL: 0x10, RR: 0x18, SLA: 0x20, SRA: 0x28, SRL: 0x38 };
+            // SLL (alias SL1) is undocumented: shifts left and sets bit 0
+            const baseMap = { RLC: 0x00, RRC: 0x08, RL: 0x10, RR: 0x18, SLA: 0x20, SRA: 0x28, SLL: 0x30, SL1: 0x30, SRL: 0x38 };
             const base = baseMap[mnemonic];
+            const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
 
-            const idxRegex = /\((IX|IY)\s*([+-]\s*0x[0-9A-Fa-f]+|[+-]\s*[0-9]+)?\)/;
-            const idxMatch = r.match(idxRegex);
-            if (idxMatch) {
-                const idxReg = idxMatch[1];
-                let offStr = idxMatch[2] ? idxMatch[2].replace(/\s/g, '') : '+0';
-                const off = this.parseNumber(offStr, dummyMode);
-                const pre = idxReg === 'IX' ? 0xDD : 0xFD;
-                bytes.push(pre, 0xCB, off & 0xFF, base | 6);
+            const idx = this.parseIndexed(r, dummyMode);
+            if (idx) {
+                bytes.push(idx.pre, 0xCB, idx.off, base | this.parseCopyReg(mnemonic, args[1]));
             } else {
-                const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
-                if (rMap[r] !== undefined) {
-                    bytes.push(0xCB, base | rMap[r]);
+                if (rMap[r.toUpperCase()] !== undefined) {
+                    bytes.push(0xCB, base | rMap[r.toUpperCase()]);
                 } else throw new Error(`Invalid Operand for ${mnemonic}: ${r}`);
             }
         }
         else if (mnemonic === 'BIT' || mnemonic === 'SET' || mnemonic === 'RES') {
             const b = this.parseNumber(args[0], dummyMode);
+            if (!dummyMode && (b < 0 || b > 7)) throw new Error(`Bit number out of range: ${args[0]}`);
             const r = args[1];
             const base = (mnemonic === 'BIT') ? 0x40 : (mnemonic === 'RES' ? 0x80 : 0xC0);
 
-            const idxRegex = /\((IX|IY)\s*([+-]\s*0x[0-9A-Fa-f]+|[+-]\s*[0-9]+)?\)/;
-            const idxMatch = r.match(idxRegex);
-            if (idxMatch) {
-                const idxReg = idxMatch[1];
-                let offStr = idxMatch[2] ? idxMatch[2].replace(/\s/g, '') : '+0';
-                const off = this.parseNumber(offStr, dummyMode);
-                const pre = idxReg === 'IX' ? 0xDD : 0xFD;
-                bytes.push(pre, 0xCB, off & 0xFF, base | (b << 3) | 6);
+            const idx = this.parseIndexed(r, dummyMode);
+            if (idx) {
+                // BIT has no register copy, all eight encodings behave the same
+                const copy = (mnemonic === 'BIT') ? 6 : this.parseCopyReg(mnemonic, args[2]);
+                bytes.push(idx.pre, 0xCB, idx.off, base | ((b & 7) << 3) | copy);
             } else {
                 const rMap = { B: 0, C: 1, D: 2, E: 3, H: 4, L: 5, '(HL)': 6, A: 7 };
-                if (rMap[r] !== undefined) {
-                    bytes.push(0xCB, base | (b << 3) | rMap[r]);
+                if (rMap[r.toUpperCase()] !== undefined) {
+                    bytes.push(0xCB, base | ((b & 7) << 3) | rMap[r.toUpperCase()]);
                 } else throw new Error(`Invalid Operand for ${mnemonic}: ${r}`);
             }
         }
@@ -1580,10 +2803,10 @@ class Assembler {
         else if (mnemonic === 'RRD') bytes.push(0xED, 0x67);
         else if (mnemonic === 'RLD') bytes.push(0xED, 0x6F);
         else if (mnemonic === 'IM') {
-            const mode = args[0];
-            if (mode === '0') bytes.push(0xED, 0x46);
-            else if (mode === '1') bytes.push(0xED, 0x56);
-            else if (mode === '2') bytes.push(0xED, 0x5E);
+            const mode = this.parseNumber(args[0], dummyMode);
+            if (mode === 0) bytes.push(0xED, 0x46);
+            else if (mode === 1) bytes.push(0xED, 0x56);
+            else if (mode === 2) bytes.push(0xED, 0x5E);
             else throw new Error(`Invalid IM Mode: ${mode}`);
         }
         else if (mnemonic === 'RETI') bytes.push(0xED, 0x4D);
@@ -1592,6 +2815,7 @@ class Assembler {
         else if (mnemonic === 'DI') bytes.push(0xF3);
         else if (mnemonic === 'RST') {
             const t = this.parseNumber(args[0], dummyMode);
+            if (!dummyMode && (t & ~0x38)) throw new Error(`Invalid RST Vector: ${args[0]}`);
             bytes.push(0xC7 | (t & 0x38)); // 00H..38H -> C7..FF
         }
         else if (mnemonic === 'SCF') bytes.push(0x37);
@@ -1613,737 +2837,1928 @@ class Assembler {
         return bytes;
     }
 
-    assemble(source) {
-        this.sourceMap = [];
-        this.labels = {};
-        const lines = source.split('\n');
-        const code = [];
-        this.lineAddrMap = {}; // Map line index to expected address
+    /**
+     * @param {string} source - Program text.
+     * @param {object} defines - Predefined symbols, name -> number (e.g. { DEBUG: 1 }), usable like EQUs.
+     * @param {object} files - Other project files by name for INCLUDE (string) and INCBIN (Uint8Array, array or string).
+     * @param {string} fileName - Name of source itself, recorded in fileMap and currentFile.
+     * @returns {Uint8Array} Image from address 0 to the end of the code.
+     */
+    assemble(source, defines = {}, files = {}, fileName = '') {
+        this.sourceMap = []; // Address -> line within its file
+        this.fileMap = []; // Address -> file name of that line
+        this.dataMap = []; // Addresses of DB/DW/DS/INCBIN lines
+        this.labels = {};
+        this.equates = new Set(); // Label names defined by EQU rather than by position
+        this.diagnostics = []; // { severity: 'error'|'warning', file, line, column, message }
+        this.files = files;
+        this.fileName = fileName;
+        this.currentLine = 0;
+        this.currentFile = fileName;
+        Object.entries(defines).forEach(([name, value]) => {
+            const v = Number(value);
+            if (!/^[A-Za-z_.][\w.]*$/.test(name) || isNaN(v)) throw new Error(`Invalid predefined symbol: ${name}=${value}`);
+            this.labels[name.toUpperCase()] = v;
+            this.equates.add(name.toUpperCase());
+        });
+        this.macros = {}; // Name -> { params, body }
+        this.expansions = 0;
+        const lines = source.split('\n');
+        const texts = { [fileName]: lines }; // Lines of every file read, for the listing
+        const code = [];
+        const equs = [];
+        this.lineAddrMap = {}; // Map line index to expected address
+
+        let addr = 0;
+
+        // Pass 1. Lines are queued so that MACRO/REPT/IRP expansions can be inserted right after the
+        // line that produced them; expanded lines keep that line's number for sourceMap and errors.
+        // INCLUDE inserts the lines of the named file the same way, tagged with that file.
+        const queue = lines.map((text, i) => ({ text, line: i + 1, file: fileName, incl: 0, depth: 0 }));
+        const conds = []; // Open IF blocks: { outer, taken, active, inElse, line, file, incl }
+        const order = {}; // 'file:line' -> index of its first queue item, to sort diagnostics in assembly order
+        const unterminated = (c) => {
+            this.currentLine = c.line;
+            this.currentFile = c.file;
+            const raw = texts[c.file][c.line - 1] || '';
+            this.diagnose('error', 'IF without ENDIF', raw, raw.search(/\S|$/));
+        };
+        for (let q = 0; q < queue.length; q++) {
+            const item = queue[q];
+            const i = item.line - 1;
+            if (item.file === fileName && this.lineAddrMap[i] === undefined) this.lineAddrMap[i] = addr; // Record start address of this line
+            this.currentLine = item.line; // Reported with errors
+            this.currentFile = item.file;
+            if (order[`${item.file}:${item.line}`] === undefined) order[`${item.file}:${item.line}`] = q;
+            const raw = texts[item.file][i] || ''; // Source line for columns (the invoking line for expansions)
+
+            // End of an included file: IF blocks must be closed in the file that opened them
+            if (item.endOf) {
+                while (conds.length && conds[conds.length - 1].incl >= item.incl) unterminated(conds.pop());
+                continue;
+            }
+
+            const commentStripped = this.stripComment(item.text).trim();
+            if (!commentStripped) continue;
+
+            // An error skips the statement (or the whole line, for block structure) and assembly goes on
+            try {
+                // Conditional assembly. Inside a false branch only IF/ELSE/ENDIF lines are looked at (for nesting).
+                // Conditions are decided here in pass 1, so they can only use symbols defined above them.
+                const active = !conds.length || conds[conds.length - 1].active;
+                const cond = /^(?:([A-Za-z_.][\w.]*):\s*)?(IF|IFDEF|IFNDEF|ELSE|ENDIF)(?:\s+(.*))?$/i.exec(commentStripped);
+                if (cond) {
+                    const kw = cond[2].toUpperCase();
+                    const top = conds[conds.length - 1];
+                    // A label on the line belongs to the enclosing block and is defined when that block is assembled
+                    const enclosing = (kw === 'ELSE' || kw === 'ENDIF') ? !top || top.outer : active;
+                    if (cond[1] && enclosing) {
+                        const label = cond[1].toUpperCase();
+                        if (this.labels[label] !== undefined) this.diagnose('error', `Duplicate label: ${label}`, raw, raw.search(/\S|$/));
+                        else this.labels[label] = addr;
+                    }
+                    if (kw === 'ENDIF') {
+                        if (!top) throw new Error('ENDIF without IF');
+                        conds.pop();
+                    } else if (kw === 'ELSE') {
+                        if (!top) throw new Error('ELSE without IF');
+                        if (top.inElse) throw new Error('Second ELSE in one IF');
+                        top.inElse = true;
+                        top.active = top.outer && !top.taken;
+                    } else {
+                        // Opened before the condition is evaluated: one that fails still pairs with its ELSE and ENDIF,
+                        // and neither branch is assembled
+                        const frame = { outer: false, taken: false, active: false, inElse: false, line: item.line, file: item.file, incl: item.incl };
+                        conds.push(frame);
+                        if (active) {
+                            if (!cond[3]) throw new Error(`${kw} needs ${kw === 'IF' ? 'an expression' : 'a name'}`);
+                            const name = cond[3].trim().toUpperCase();
+                            const defined = this.labels[name] !== undefined || this.macros[name] !== undefined;
+                            frame.taken = kw === 'IF' ? !!this.parseNumber(cond[3]) : kw === 'IFDEF' ? defined : !defined;
+                            frame.outer = true;
+                            frame.active = frame.taken;
+                        }
+                    }
+                    continue;
+                }
+                if (!active) continue;
+
+                // A block takes its body out of the queue: macros are stored, REPT/IRP copies go back in
+                const block = this.parseBlockHeader(commentStripped);
+                if (block) {
+                    const end = this.findEndm(queue, q);
+                    const body = queue.splice(q + 1, end - q).slice(0, -1).map(b => b.text);
+                    if (block.type === 'MACRO') {
+                        this.macros[block.name] = { params: block.params, body };
+                        continue;
+                    }
+                    let copies = [];
+                    if (block.type === 'REPT') {
+                        const count = this.parseNumber(block.count);
+                        if (count < 0 || count > 10000) throw new Error(`REPT count out of range: ${block.count}`);
+                        for (let n = 0; n < count; n++) copies = copies.concat(this.instantiate(body, {}, item));
+                    } else {
+                        block.values.forEach(v => copies = copies.concat(this.instantiate(body, { [block.param]: v }, item)));
+                    }
+                    queue.splice(q + 1, 0, ...copies);
+                    code.push({ line: item.line, file: item.file, mnemonic: null, args: [], addr, text: commentStripped, depth: item.depth }); // Listing row only
+                    continue;
+                }
+                if (/^(ENDM|ENDR)\b/i.test(commentStripped)) throw new Error('ENDM without MACRO, REPT or IRP');
+
+                // Handle multiple instructions per line (separated by ' : ')
+                const subLines = commentStripped.split(/\s:\s/);
+
+                let from = 0;
+                for (let k = 0; k < subLines.length; k++) {
+                    const lineContent = subLines[k];
+                    if (!lineContent.trim()) continue;
+                    let stmtStart = item.depth ? -1 : raw.indexOf(lineContent.trim(), from);
+                    if (stmtStart < 0) stmtStart = raw.search(/\S|$/);
+                    else from = stmtStart + lineContent.trim().length;
+
+                    try {
+                        this.here = addr;
+
+                        // Check EQU (NAME EQU expr, NAME: EQU expr); may refer to later labels, settled after pass 1
+                        const equ = /^([A-Za-z_.][\w.]*):?\s+EQU\s+(.+)$/i.exec(lineContent.trim());
+                        if (equ) {
+                            const name = equ[1].toUpperCase();
+                            if (this.labels[name] !== undefined) throw new Error(`Duplicate label: ${name}`);
+                            this.labels[name] = this.parseNumber(equ[2], true);
+                            this.equates.add(name);
+                            equs.push({ name, expr: equ[2], addr, line: item.line, file: item.file });
+                            continue;
+                        }
+
+                        const { label, mnemonic, args, operands } = this.parseStatement(lineContent);
+                        if (label) {
+                            // Reported, but the statement after the label is still assembled
+                            if (this.labels[label] !== undefined) this.diagnose('error', `Duplicate label: ${label}`, raw, stmtStart);
+                            else this.labels[label] = addr;
+                        }
+                        if (!mnemonic) continue;
+
+                        // Macro call: its expansion, then the rest of this line, run next
+                        const macro = this.macros[mnemonic];
+                        if (macro) {
+                            const values = this.splitOperands(operands, true);
+                            if (values.length > macro.params.length) throw new Error(`Too many arguments for macro ${mnemonic}`);
+                            const map = {};
+                            macro.params.forEach((p, n) => {
+                                if (values[n] === undefined) throw new Error(`Missing argument ${p} for macro ${mnemonic}`);
+                                map[p] = values[n];
+                            });
+                            const expansion = this.instantiate(macro.body, map, item);
+                            const rest = subLines.slice(k + 1).join(' : ');
+                            if (rest) expansion.push({ text: rest, line: item.line, file: item.file, incl: item.incl, depth: item.depth });
+                            queue.splice(q + 1, 0, ...expansion);
+                            code.push({ line: item.line, file: item.file, mnemonic: null, args, addr, text: lineContent, depth: item.depth }); // Listing row only
+                            break;
+                        }
+
+                        // INCLUDE: the file's lines, then the rest of this line
+                        if (mnemonic === 'INCLUDE') {
+                            const { name, data } = this.fileContents(args[0]);
+                            if (typeof data !== 'string') throw new Error(`Not a source file: ${name}`);
+                            if (item.incl >= 16) throw new Error(`INCLUDE nested too deeply (${name})`);
+                            texts[name] = data.split('\n');
+                            const included = texts[name].map((text, n) => ({ text, line: n + 1, file: name, incl: item.incl + 1, depth: 0 }));
+                            included.push({ text: '', line: texts[name].length, file: name, incl: item.incl + 1, depth: 0, endOf: name });
+                            const rest = subLines.slice(k + 1).join(' : ');
+                            if (rest) included.push({ text: rest, line: item.line, file: item.file, incl: item.incl, depth: item.depth });
+                            queue.splice(q + 1, 0, ...included);
+                            code.push({ line: item.line, file: item.file, mnemonic: null, args, addr, text: lineContent, depth: item.depth }); // Listing row only
+                            break;
+                        }
+
+                        // check ORG (the address must be known here, so no forward references)
+                        if (mnemonic === 'ORG') {
+                            addr = this.imm16(args[0], false);
+                            continue;
+                        }
+
+                        // Sizing Logic using emitInstruction (dummyMode=true). A statement that fails here is left out of pass 2.
+                        let size;
+                        if (mnemonic === 'DS') size = this.imm16(args[0], false);
+                        else if (mnemonic === 'INCBIN') size = this.incbin(args).length;
+                        else {
+                            size = this.emitInstruction(mnemonic, args, addr, true).length;
+                            if (size === 0 && mnemonic !== 'DB' && mnemonic !== 'DW') {
+                                throw new Error(Assembler.MNEMONICS.has(mnemonic) ? `Invalid operands for ${mnemonic}: ${args.join(', ')}` : `Unknown mnemonic: ${mnemonic}`);
+                            }
+                        }
+                        code.push({ line: item.line, file: item.file, col: stmtStart, mnemonic, args, addr, text: lineContent, depth: item.depth });
+                        addr += size;
+                    } catch (e) {
+                        this.diagnose('error', e.message, raw, stmtStart);
+                    }
+                }
+            } catch (e) {
+                this.diagnose('error', e.message, raw, raw.search(/\S|$/));
+            }
+        }
+
+        conds.forEach(unterminated);
+
+        // EQUs that refer to later labels (or to later EQUs) got 0 above; re-evaluate until nothing changes
+        for (let round = 0; round <= equs.length; round++) {
+            let changed = false;
+            equs.forEach(e => {
+                this.here = e.addr;
+                const v = this.parseNumber(e.expr, true);
+                if (v !== this.labels[e.name]) { this.labels[e.name] = v; changed = true; }
+            });
+            if (!changed) break;
+        }
+        equs.forEach(e => {
+            this.currentLine = e.line;
+            this.currentFile = e.file;
+            this.here = e.addr;
+            try {
+                this.parseNumber(e.expr); // Reports names that are never defined
+            } catch (err) {
+                this.diagnose('error', err.message, texts[e.file][e.line - 1], 0);
+            }
+        });
+
+        // Pass 2
+        // Use a sparse map or pre-sized array to handle non-monotonic ORG
+        // Since we want a flat binary at the end, let's find the max address first.
+        let maxAddr = 0;
+        code.forEach(inst => {
+            // Estimate max extent
+            // Note: This is an estimation. Actual bytes might vary if we had variable length,
+            // but our Pass 1 already calculated exact addresses.
+            // inst.addr is the start. We need length.
+            // We can re-emit or just trust Pass 1 if we stored lengths?
+            // Pass 1 stored 'addr' for each instruction, but not length explicitly in code array.
+            // But we can infer length from next instruction's addr or just re-emit.
+        });
+        // Actually, Pass 1 `addr` tracks the *start* of the instruction.
+        // We can just use a large Uint8Array buffer (64KB max for Z80).
+        const buffer = new Uint8Array(0x10000); // 64KB Buffer
+        const written = new Uint8Array(0x10000); // Bytes already emitted, to warn about overlaps
+        // Track max extent written
+        let endOfCode = 0;
+
+        let listing = "--- Assembler Listing ---\nAddr   | Bytes      | Line | Source\n--------------------------------------------\n";
+
+        code.forEach(inst => {
+            const { mnemonic, args, addr, line, file, depth } = inst;
+            this.currentLine = line;
+            this.currentFile = file;
+            this.here = addr;
+            // Expanded lines are listed under the call, marked with one + per nesting level
+            const fileLines = texts[file];
+            const srcLineContent = depth ? `${'+'.repeat(depth)} ${inst.text.trim()}` : (fileLines[line - 1] ? fileLines[line - 1].trim() : "");
+            const addrStr = addr.toString(16).padStart(4, '0').toUpperCase();
+
+            if (mnemonic === null) { // Macro call
+                listing += `${addrStr}   | ${''.padEnd(10)} | ${line.toString().padEnd(4)} | ${srcLineContent}\n`;
+                return;
+            }
+
+            // sourceMap
+            this.sourceMap[addr] = line;
+            this.fileMap[addr] = file;
+            if (mnemonic === 'DB' || mnemonic === 'DW' || mnemonic === 'DS' || mnemonic === 'INCBIN') this.dataMap[addr] = true;
+
+            let hexBytes = "";
+
+            if (mnemonic === 'DS') {
+                // DS just reserves space, we don't overwrite with 0s necessarily?
+                // Usually DS initializes to 0 or uninit. Let's leave as is (0 in Uint8Array).
+                // Just update endOfCode if needed.
+                const size = this.parseNumber(args[0], true);
+                if (addr + size > endOfCode) endOfCode = addr + size;
+            } else {
+                try {
+                    const instBytes = this.emitInstruction(mnemonic, args, addr, false);
+                    const overlap = instBytes.findIndex((b, i) => written[(addr + i) & 0xFFFF]);
+                    if (overlap >= 0) {
+                        const at = ((addr + overlap) & 0xFFFF).toString(16).padStart(4, '0').toUpperCase();
+                        this.diagnose('warning', `Overwrites earlier code at ${at}h`, fileLines[line - 1], inst.col);
+                    }
+                    instBytes.forEach((b, i) => {
+                        buffer[addr + i] = b;
+                        written[(addr + i) & 0xFFFF] = 1;
+                    });
+
+                    if (addr + instBytes.length > endOfCode) endOfCode = addr + instBytes.length;
+
+                    hexBytes = instBytes.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
+                } catch (e) {
+                    this.diagnose('error', e.message, fileLines[line - 1], inst.col);
+                }
+            }
+
+            listing += `${addrStr}   | ${hexBytes.padEnd(10)} | ${line.toString().padEnd(4)} | ${srcLineContent}\n`;
+        });
+
+        this.listing = listing;
+
+        // Diagnostics in assembly order (an included file's lines where it is included); the first error is thrown
+        const at = (d) => { const n = order[`${d.file}:${d.line}`]; return n !== undefined ? n : queue.length; };
+        this.diagnostics.sort((a, b) => at(a) - at(b) || a.line - b.line || a.column - b.column);
+        const error = this.diagnostics.find(d => d.severity === 'error');
+        if (error) {
+            this.currentLine = error.line;
+            this.currentFile = error.file;
+            throw new Error(error.message);
+        }
+
+        // Convert buffer up to endOfCode to standard array/Uint8Array for return
+        return buffer.subarray(0, endOfCode);
+
+
+        return new Uint8Array(bytes);
+    }
+}
+
+// Instruction mnemonics emitInstruction() knows (for "Unknown mnemonic" vs "Invalid operands")
+Assembler.MNEMONICS = new Set(['ADC', 'ADD', 'AND', 'BIT', 'CALL', 'CCF', 'CP', 'CPD', 'CPDR', 'CPI', 'CPIR', 'CPL', 'DAA',
+    'DEC', 'DI', 'DJNZ', 'EI', 'EX', 'EXX', 'HALT', 'IM', 'IN', 'INC', 'IND', 'INDR', 'INI', 'INIR', 'JP', 'JR',
+    'LD', 'LDD', 'LDDR', 'LDI', 'LDIR', 'NEG', 'NOP', 'OR', 'OTDR', 'OTIR', 'OUT', 'OUTD', 'OUTI', 'POP', 'PUSH',
+    'RES', 'RET', 'RETI', 'RETN', 'RL', 'RLA', 'RLC', 'RLCA', 'RLD', 'RR', 'RRA', 'RRC', 'RRCA', 'RRD', 'RST',
+    'SBC', 'SCF', 'SET', 'SL1', 'SLA', 'SLL', 'SRA', 'SRL', 'SUB', 'XOR']);
+
+// --- Specific Hardware Logic ---
+const Hardware = {
+    init() {
+        this.pressedKey = 0xFF;
+        this.keyBuffer = null;
+        // Interrupt vector bytes placed on the data bus (IM 0 instruction / IM 2 vector low byte)
+        this.intVectors = { keypad: 0xFF, buttons: 0xFF };
+        // Last values written to the output devices (the DOM only shows them), kept for save states
+        this.latch = { leds: 0, seg: new Array(8).fill(0), matrix: new Array(32).fill(0), buzzer: 0 };
+        this.genLEDs();
+        this.gen7Seg();
+        this.genLCD();
+        this.genMatrix();
+        this.genKeypad();
+        this.genDIPs();
+        this.genBtns();
+        this.initIO();
+    },
+
+    initIO() {
+        // LEDs
+        IO.onOut(0x00, (v) => {
+            this.latch.leds = v;
+            this.drawLEDs();
+        });
+
+        // Keypad (0x40)
+        // Read: Returns key code if available, else 0xFF.
+        // Logic: Input is buffered until read.
+        IO.onIn(0x40, () => {
+            if (Hardware.keyBuffer !== null) {
+                const k = Hardware.keyBuffer;
+                Hardware.keyBuffer = null; // Consume
+                if (Main.logEnabled) console.log(`IO: Port 0x40 Read -> ${k}`);
+                return k;
+            }
+            // console.log(`IO: Port 0x40 Read -> 0xFF (Empty)`);
+            return 0xFF;
+        });
+        // Write: Set interrupt vector byte
+        IO.onOut(0x40, (v) => { Hardware.intVectors.keypad = v; });
+
+        // 7-Seg
+        // 0x10-0x17
+        for (let i = 0; i < 8; i++) {
+            IO.onOut(0x10 + i, (v) => {
+                this.latch.seg[i] = v;
+                if (Main.logEnabled) console.log(`IO: 7-Seg Port 0x${(0x10 + i).toString(16)} Write: 0x${v.toString(16)}`);
+                this.drawSeg(i);
+            });
+        }
+
+        // LCD
+        // 0x20 CMD, 0x21 DAT
+        this.lcd = { lines: ['', ''], cursor: { r: 0, c: 0 } };
+
+        IO.onOut(0x20, (v) => { // LCD CMD
+            if (v === 0x01) { // Clear
+                this.lcd.lines = ['', ''];
+                this.lcd.cursor = { r: 0, c: 0 };
+                this.updateLCD();
+            }
+            else if (v === 0x18) { // Shift Display Left
+                // Simulating shifting by moving characters in the buffer
+                // Real HW moves the window over DDRAM, but restricted buffer requires simple string shift.
+                for (let r = 0; r < 2; r++) {
+                    const line = this.lcd.lines[r].padEnd(16, ' ');
+                    this.lcd.lines[r] = line.substring(1) + ' ';
+                }
+                this.updateLCD();
+            }
+            else if (v & 0x80) { // Set DDRAM Address
+                const addr = v & 0x7F;
+                if (addr < 0x10) this.lcd.cursor = { r: 0, c: addr };
+                else if (addr >= 0x40 && addr < 0x50) this.lcd.cursor = { r: 1, c: addr - 0x40 };
+            }
+        });
+
+        IO.onOut(0x21, (v) => { // LCD DATA
+            const char = String.fromCharCode(v);
+            const { r } = this.lcd.cursor;
+
+            // Ensure line is initialized
+            if (this.lcd.lines[r] === undefined) this.lcd.lines[r] = "";
+
+            // Standard Behavior: Write at cursor, increment cursor.
+            if (this.lcd.cursor.c < 16) {
+                // Pad if needed
+                if (this.lcd.lines[r].length < 16) this.lcd.lines[r] = this.lcd.lines[r].padEnd(16, ' ');
+
+                const chars = this.lcd.lines[r].split('');
+                chars[this.lcd.cursor.c] = char;
+                this.lcd.lines[r] = chars.join('');
+                this.lcd.cursor.c++;
+                this.updateLCD();
+            }
+            // If >= 16, ignore (standard behavior for this limited simulator)
+        });
+
+        // Matrix
+        // 0x80 - 0x9F
+        // Even ports drive columns 0-7 of a row, odd ports columns 8-15
+        for (let n = 0; n < 32; n++) {
+            IO.onOut(0x80 + n, (v) => {
+                this.latch.matrix[n] = v;
+                this.drawMatrix(n);
+            });
+        }
+
+        // DIP Switches Input (0x50 - 0x57)
+        for (let i = 0; i < 8; i++) {
+            IO.onIn(0x50 + i, () => {
+                const el = document.getElementById(`dip-${i + 1}`);
+                return el && el.classList.contains('on') ? 1 : 0;
+            });
+        }
+
+        // Interrupt Buttons Input (0x60)
+        IO.onIn(0x60, () => {
+            return Hardware.btnState || 0;
+        });
+        IO.onOut(0x60, (v) => { Hardware.intVectors.buttons = v; });
+
+        // RTC (0xC0: Sec, 0xC1: Min, 0xC2: Hour)
+        IO.onOut(0xC0, (v) => { }); // Ignore writes
+        IO.onIn(0xC0, () => new Date().getSeconds());
+        IO.onIn(0xC1, () => new Date().getMinutes());
+        IO.onIn(0xC2, () => new Date().getHours());
 
-        let addr = 0;
+        // Buzzer (0x30)
+        IO.onOut(0x30, (v) => {
+            this.latch.buzzer = v;
+            Hardware.playBuzzer(v);
+        });
+    },
 
-        // Pass 1
-        for (let i = 0; i < lines.length; i++) {
-            this.lineAddrMap[i] = addr; // Record start address of this line
+    getState() {
+        const dips = [];
+        for (let i = 1; i <= 8; i++) dips.push(document.getElementById(`dip-${i}`).classList.contains('on') ? 1 : 0);
+        return {
+            leds: this.latch.leds,
+            seg: [...this.latch.seg],
+            matrix: [...this.latch.matrix],
+            buzzer: this.latch.buzzer,
+            lcd: { lines: [...this.lcd.lines], cursor: { ...this.lcd.cursor } },
+            dips,
+            btnState: this.btnState,
+            keyBuffer: this.keyBuffer,
+            intVectors: { ...this.intVectors }
+        };
+    },
 
-            const commentStripped = lines[i].split(';')[0].trim();
-            if (!commentStripped) continue;
+    setState(s) {
+        // Redraw from the restored latches directly: an IO.out replay would look like the program writing them
+        this.latch.leds = s.leds;
+        this.latch.seg = [...s.seg];
+        this.latch.matrix = [...s.matrix];
+        this.drawLEDs();
+        this.latch.seg.forEach((v, i) => this.drawSeg(i));
+        this.latch.matrix.forEach((v, n) => this.drawMatrix(n));
+        if (s.buzzer !== this.latch.buzzer) {
+            this.latch.buzzer = s.buzzer;
+            this.playBuzzer(s.buzzer);
+        }
 
-            // Handle multiple instructions per line (separated by ' : ')
-            const subLines = commentStripped.split(/\s:\s/);
+        this.lcd = { lines: [...s.lcd.lines], cursor: { ...s.lcd.cursor } };
+        this.updateLCD();
 
-            for (const lineContent of subLines) {
-                if (!lineContent.trim()) continue;
+        s.dips.forEach((on, i) => document.getElementById(`dip-${i + 1}`).classList.toggle('on', !!on));
+        this.btnState = s.btnState;
+        this.keyBuffer = s.keyBuffer;
+        this.intVectors = { ...s.intVectors };
+    },
 
-                const parts = lineContent.replace(/,/g, ' ').split(/\s+/);
+    drawLEDs() {
+        for (let i = 0; i < 8; i++) {
+            const el = document.getElementById(`led-${i}`);
+            if ((this.latch.leds >> i) & 1) el.classList.add('on'); else el.classList.remove('on');
+        }
+    },
 
-                // Check Label (ends with :)
-                if (parts[0].endsWith(':')) {
-                    const label = parts[0].slice(0, -1).toUpperCase();
-                    this.labels[label] = addr;
-                    parts.shift(); // Remove label
-                }
+    drawSeg(i) {
+        const v = this.latch.seg[i];
+        const segs = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
+        segs.forEach((s, b) => {
+            const el = document.getElementById(`seg-${i}-${s}`);
+            if ((v >> b) & 1) el.classList.add('on'); else el.classList.remove('on');
+        });
+    },
 
-                if (parts.length === 0) continue;
+    // Matrix latch n: row n >> 1, columns 0-7 (even n) or 8-15 (odd n)
+    drawMatrix(n) {
+        const v = this.latch.matrix[n];
+        const r = n >> 1, first = (n & 1) * 8;
+        for (let c = 0; c < 8; c++) this.setDot(r, first + c, (v >> c) & 1);
+    },
 
-                const mnemonic = parts[0].toUpperCase();
-                const args = parts.slice(1);
+    setDot(r, c, on) {
+        const el = document.getElementById(`mat-${r}-${c}`);
+        if (on) el.classList.add('on'); else el.classList.remove('on');
+    },
 
-                // Check EQU
-                if (parts.length >= 3 && parts[1].toUpperCase() === 'EQU') {
-                    const val = this.parseNumber(parts[2], true);
-                    this.labels[parts[0].toUpperCase()] = val;
-                    continue;
-                }
+    genLEDs() {
+        const c = document.getElementById('comp-leds');
+        let html = '';
+        for (let i = 0; i < 8; i++) {
+            html += `<div class="led" id="led-${i}"></div>`;
+        }
+        c.innerHTML = html;
+    },
 
-                // check ORG
-                if (mnemonic === 'ORG') {
-                    addr = this.parseNumber(args[0], true);
-                    continue;
-                }
+    gen7Seg() {
+        const c = document.getElementById('comp-7seg');
+        let html = '';
+        for (let i = 0; i < 8; i++) {
+            // Digit container
+            html += `<div class="seven-seg-digit" id="digit-${i}">`;
+            // Segments
+            const segs = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
+            segs.forEach(s => {
+                html += `<div class="seg s-${s}" id="seg-${i}-${s}"></div>`;
+            });
+            html += `</div>`;
+        }
+        c.innerHTML = html;
+    },
 
-                code.push({ line: i + 1, mnemonic, args, addr });
+    genLCD() {
+        // LCD HTML is static in index.html, so we just clear/init state if needed.
+        this.lcd = { lines: ['', ''], cursor: { r: 0, c: 0 } };
+        // Could clear content if needed
+        document.getElementById('lcd-l1').innerText = "";
+        document.getElementById('lcd-l2').innerText = "";
+    },
 
-                // Sizing Logic using emitInstruction (dummyMode=true)
-                if (mnemonic === 'DS') {
-                    addr += this.parseNumber(args[0], true);
-                } else {
-                    try {
-                        const bytes = this.emitInstruction(mnemonic, args, addr, true);
-                        if (bytes.length === 0 && mnemonic !== 'EQU' && mnemonic !== 'ORG') {
-                            console.warn(`Pass 1: Zero bytes for ${mnemonic} at line ${i + 1}`);
-                        }
-                        addr += bytes.length;
-                    } catch (e) {
-                        console.error(`Pass 1 Error on line ${i + 1}:`, e);
-                        // Safety advance to avoid infinite loops or stuck addresses
-                        addr += 1;
-                    }
-                }
+    genMatrix() {
+        const c = document.getElementById('comp-matrix');
+        let h = '';
+        for (let r = 0; r < 16; r++) {
+            for (let col = 0; col < 16; col++) {
+                h += `<div class="m-dot" id="mat-${r}-${col}"></div>`;
             }
         }
+        c.innerHTML = h;
+    },
 
-        // Pass 2
-        // Use a sparse map or pre-sized array to handle non-monotonic ORG
-        // Since we want a flat binary at the end, let's find the max address first.
-        let maxAddr = 0;
-        code.forEach(inst => {
-            // Estimate max extent
-            // Note: This is an estimation. Actual bytes might vary if we had variable length,
-            // but our Pass 1 already calculated exact addresses.
-            // inst.addr is the start. We need length.
-            // We can re-emit or just trust Pass 1 if we stored lengths?
-            // Pass 1 stored 'addr' for each instruction, but not length explicitly in code array.
-            // But we can infer length from next instruction's addr or just re-emit.
+    genKeypad() {
+        const c = document.getElementById('comp-keypad');
+        const keys = "123A456B789C*0#D".split('');
+        c.innerHTML = keys.map(k => `<div class="key" data-k="${k}">${k}</div>`).join('');
+
+        if (this.keypadInitialized) return;
+        this.keypadInitialized = true;
+        this.lastKeyTime = 0;
+
+        c.addEventListener('mousedown', (e) => {
+            if (e.target.classList.contains('key')) {
+                const now = Date.now();
+                if (now - this.lastKeyTime < 100) return; // Debounce 100ms
+                this.lastKeyTime = now;
+
+                const k = e.target.dataset.k;
+                const map = "123A456B789C*0#D";
+                this.keyBuffer = map.indexOf(k); // Buffer the key
+                if (typeof IO !== 'undefined') IO.triggerInterrupt(this.intVectors.keypad);
+            }
         });
-        // Actually, Pass 1 `addr` tracks the *start* of the instruction.
-        // We can just use a large Uint8Array buffer (64KB max for Z80).
-        const buffer = new Uint8Array(0x10000); // 64KB Buffer
-        // Track max extent written
-        let endOfCode = 0;
 
-        let listing = "--- Assembler Listing ---\nAddr   | Bytes      | Line | Source\n--------------------------------------------\n";
+        // Removed mouseup clearing to support buffered input logic
+    },
 
-        code.forEach(inst => {
-            const { mnemonic, args, addr, line } = inst;
+    genDIPs() {
+        const c = document.getElementById('comp-dips');
+        let h = '';
+        for (let i = 1; i <= 8; i++) {
+            h += `<div class="dip-switch" id="dip-${i}" onclick="Hardware.toggleDIP(${i})">
+                    <div class="dip-slider"><div class="dip-knob"></div></div>
+                    <div class="dip-label">${i}</div>
+                  </div>`;
+        }
+        c.innerHTML = h;
+    },
 
-            // sourceMap
-            this.sourceMap[addr] = line;
+    toggleDIP(id) {
+        document.getElementById(`dip-${id}`).classList.toggle('on');
+    },
 
-            let hexBytes = "";
+    genBtns() {
+        const c = document.getElementById('comp-int-btns');
+        let h = '';
+        for (let i = 1; i <= 8; i++) {
+            h += `<div class="push-btn" onmousedown="Hardware.pressBtn(${i})" onmouseup="Hardware.releaseBtn(${i})">${i}</div>`;
+        }
+        h += `<div class="sep"></div>`;
+        h += `<div class="push-btn nmi" title="Non-Maskable Interrupt (0x0066)" onmousedown="Hardware.pressNMI()">NMI</div>`;
+        c.innerHTML = h;
+        this.btnState = 0;
+    },
 
-            if (mnemonic === 'DS') {
-                // DS just reserves space, we don't overwrite with 0s necessarily?
-                // Usually DS initializes to 0 or uninit. Let's leave as is (0 in Uint8Array).
-                // Just update endOfCode if needed.
-                const size = this.parseNumber(args[0], true);
-                if (addr + size > endOfCode) endOfCode = addr + size;
-            } else {
-                try {
-                    const instBytes = this.emitInstruction(mnemonic, args, addr, false);
-                    instBytes.forEach((b, i) => {
-                        buffer[addr + i] = b;
-                    });
+    pressBtn(id) {
+        // Trigger INT logic here
+        this.btnState |= (1 << (id - 1));
+        if (typeof IO !== 'undefined') IO.triggerInterrupt(this.intVectors.buttons);
+    },
+    releaseBtn(id) {
+        // Release logic
+        this.btnState &= ~(1 << (id - 1));
+    },
+    pressNMI() {
+        // NMI is edge-triggered: only the press matters
+        if (typeof IO !== 'undefined') IO.triggerNMI();
+    },
 
-                    if (addr + instBytes.length > endOfCode) endOfCode = addr + instBytes.length;
+    updateLCD() {
+        document.getElementById('lcd-l1').innerText = this.lcd.lines[0];
+        document.getElementById('lcd-l2').innerText = this.lcd.lines[1];
+    },
 
-                    hexBytes = instBytes.map(b => b.toString(16).padStart(2, '0').toUpperCase()).join(' ');
-                } catch (e) {
-                    console.error(`Pass 2 Error on line ${line}:`, e);
-                    throw e;
-                }
+    genBuzzer() {
+        // Simple visual indicator for Buzzer
+        const c = document.getElementById('comp-buzzer'); // User needs to add this container or we append
+        if (!c) return;
+        c.innerHTML = `<div id="buzzer-icon" style="width:50px;height:50px;background:#333;border-radius:50%;display:flex;align-items:center;justify-content:center;color:white;font-size:24px;">♪</div>`;
+    },
+
+    playBuzzer(val) {
+        if (!this.audioCtx) {
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            this.audioCtx = new AudioContext();
+        }
+        // Try to resume if suspended (requires user interaction first typically)
+        if (this.audioCtx.state === 'suspended') {
+            this.audioCtx.resume().catch(() => { });
+        }
+
+        const icon = document.getElementById('buzzer-icon');
+
+        if (val === 0) {
+            if (this.osc) {
+                try {
+                    this.osc.stop();
+                    this.osc.disconnect();
+                } catch (e) { }
+                this.osc = null;
+            }
+            if (icon) {
+                icon.style.background = '#333';
+                icon.style.boxShadow = 'none';
             }
+            return;
+        }
 
-            const srcLineContent = lines[line - 1] ? lines[line - 1].trim() : "";
-            const addrStr = addr.toString(16).padStart(4, '0').toUpperCase();
-            listing += `${addrStr}   | ${hexBytes.padEnd(10)} | ${line.toString().padEnd(4)} | ${srcLineContent}\n`;
-        });
+        // Visual Feedback
+        if (icon) {
+            icon.style.background = '#e74c3c';
+            icon.style.boxShadow = '0 0 15px #e74c3c';
+        }
+
+        // Audio
+        if (!this.osc) {
+            this.osc = this.audioCtx.createOscillator();
+            this.osc.type = 'square';
+            this.osc.connect(this.audioCtx.destination);
+            this.osc.start();
+        }
+        // Frequency = val * 20 + 200 (Range: 200Hz - 5300Hz)
+        const freq = 200 + (val * 20);
+        this.osc.frequency.setValueAtTime(freq, this.audioCtx.currentTime);
+    }
+};
+
+
+// --- Main Initialization ---
+const MEM = new Memory();
+const IO = new IOController();
+const CPU = new Z80(MEM, IO);
+IO.bindCPU(CPU);
+const ASM = new Assembler();
+const HIST = new ExecutionHistory(CPU, MEM, IO, Hardware);
+const TRACE = new TraceRecorder(CPU, MEM, IO);
+const COV = new Coverage();
+const PROF = new Profiler(CPU);
+
+const DISASM = {
+    hex: (n, d = 2) => n.toString(16).toUpperCase().padStart(d, '0'),
+
+    /**
+     * Decode one instruction.
+     * @param {number} addr
+     * @param {Memory} mem
+     * @param {Function} fmt - Optional (value, digits) formatter for immediates; relative jumps then show their target.
+     * @returns {object} { txt, len, bytes, word, target }
+     */
+    decode(addr, mem, fmt = null) {
+        const fetch = (o = 0) => mem.read((addr + o) & 0xFFFF);
+        let op = fetch(0);
+        let len = 1;
+        let prefix = '';
+
+        // Prefix Check (DD/FD replace HL with IX/IY, H/L with the index halves and (HL) with (IX+d))
+        if (op === 0xDD || op === 0xFD) {
+            prefix = (op === 0xDD) ? 'IX' : 'IY';
+            op = fetch(1);
+            len++;
+        }
 
-        this.listing = listing;
+        // Standard x/y/z opcode fields: xx yyy zzz, y = pp q
+        const x = op >> 6;
+        const y = (op >> 3) & 7;
+        const z = op & 7;
+        const p = y >> 1;
+        const q = y & 1;
 
-        // Convert buffer up to endOfCode to standard array/Uint8Array for return
-        return buffer.subarray(0, endOfCode);
+        const r8 = ["B", "C", "D", "E", "H", "L", "(HL)", "A"];
+        const r16 = ["BC", "DE", prefix || "HL", "SP"];
+        const r16af = ["BC", "DE", prefix || "HL", "AF"];
+        const cond = ["NZ", "Z", "NC", "C", "PO", "PE", "P", "M"];
+        const alu = ["ADD", "ADC", "SUB", "SBC", "AND", "XOR", "OR", "CP"];
+        const rot = ["RLC", "RRC", "RL", "RR", "SLA", "SRA", "SLL", "SRL"];
+        const hl = prefix || 'HL';
+
+        // Operand readers advance len in byte order
+        // word: last 16-bit immediate, target: absolute destination of a jump/call/RST
+        let word, target;
+        const imm = fmt || this.hex;
+        const n = () => imm(fetch(len++), 2);
+        const nn = () => { word = fetch(len) | (fetch(len + 1) << 8); len += 2; return imm(word, 4); };
+        const rel = () => { let d = fetch(len++); d = d > 127 ? d - 256 : d; target = (addr + len + d) & 0xFFFF; return fmt ? fmt(target, 4) : d; };
+        const getIdx = (d) => `(${prefix}${d >= 0 ? '+' : ''}${d})`;
+        // real: H/L stay H/L when the other operand is (IX+d)
+        const reg = (i, real = false) => {
+            if (prefix && i === 6) { const d = fetch(len++); return getIdx(d > 127 ? d - 256 : d); }
+            if (prefix && !real && (i === 4 || i === 5)) return prefix + r8[i];
+            return r8[i];
+        };
 
+        let txt = '';
 
-        return new Uint8Array(bytes);
-    }
-}
+        if (x === 0) {
+            if (z === 0) {
+                if (y === 0) txt = 'NOP';
+                else if (y === 1) txt = "EX AF, AF'";
+                else if (y === 2) txt = `DJNZ ${rel()}`;
+                else if (y === 3) txt = `JR ${rel()}`;
+                else txt = `JR ${cond[y - 4]}, ${rel()}`;
+            }
+            else if (z === 1) txt = q ? `ADD ${hl}, ${r16[p]}` : `LD ${r16[p]}, ${nn()}`;
+            else if (z === 2) {
+                if (y === 0) txt = 'LD (BC), A';
+                else if (y === 1) txt = 'LD A, (BC)';
+                else if (y === 2) txt = 'LD (DE), A';
+                else if (y === 3) txt = 'LD A, (DE)';
+                else if (y === 4) txt = `LD (${nn()}), ${hl}`;
+                else if (y === 5) txt = `LD ${hl}, (${nn()})`;
+                else if (y === 6) txt = `LD (${nn()}), A`;
+                else txt = `LD A, (${nn()})`;
+            }
+            else if (z === 3) txt = `${q ? 'DEC' : 'INC'} ${r16[p]}`;
+            else if (z === 4) txt = `INC ${reg(y)}`;
+            else if (z === 5) txt = `DEC ${reg(y)}`;
+            else if (z === 6) txt = `LD ${reg(y)}, ${n()}`;
+            else txt = ["RLCA", "RRCA", "RLA", "RRA", "DAA", "CPL", "SCF", "CCF"][y];
+        }
+        // LD r, r' (0x76 is HALT)
+        else if (x === 1) {
+            if (op === 0x76) txt = 'HALT';
+            else txt = `LD ${reg(y, z === 6)}, ${reg(z, y === 6)}`;
+        }
+        // ALU A, r
+        else if (x === 2) txt = `${alu[y]} A, ${reg(z)}`;
+        else if (z === 0) txt = `RET ${cond[y]}`;
+        else if (z === 1) {
+            if (!q) txt = `POP ${r16af[p]}`;
+            else txt = ["RET", "EXX", `JP (${hl})`, `LD SP, ${hl}`][p];
+        }
+        else if (z === 2) { txt = `JP ${cond[y]}, ${nn()}`; target = word; }
+        else if (z === 3) {
+            if (y === 0) { txt = `JP ${nn()}`; target = word; }
+            else if (y === 1) {
+                // CB (and DDCB/FDCB: displacement comes before the sub opcode)
+                let operand = '';
+                if (prefix) { const d = fetch(len++); operand = getIdx(d > 127 ? d - 256 : d); }
+                const sub = fetch(len++);
+                const sy = (sub >> 3) & 7;
+                const sz = sub & 7;
+                if (!prefix) operand = r8[sz];
+                // Undocumented DDCB forms also copy the result to a register
+                else if (sz !== 6 && (sub & 0xC0) !== 0x40) operand += `, ${r8[sz]}`;
+
+                if ((sub & 0xC0) === 0x00) txt = `${rot[sy]} ${operand}`;
+                else txt = `${["", "BIT", "RES", "SET"][sub >> 6]} ${sy}, ${operand}`;
+            }
+            else if (y === 2) txt = `OUT (${n()}), A`;
+            else if (y === 3) txt = `IN A, (${n()})`;
+            else if (y === 4) txt = `EX (SP), ${hl}`;
+            else if (y === 5) txt = 'EX DE, HL';
+            else if (y === 6) txt = 'DI';
+            else txt = 'EI';
+        }
+        else if (z === 4) { txt = `CALL ${cond[y]}, ${nn()}`; target = word; }
+        else if (z === 5) {
+            if (!q) txt = `PUSH ${r16af[p]}`;
+            else if (p === 0) { txt = `CALL ${nn()}`; target = word; }
+            else if (p === 2) {
+                // ED (a DD/FD prefix in front of it has no effect)
+                const sub = fetch(len++);
+                const sx = sub >> 6;
+                const sy = (sub >> 3) & 7;
+                const sz = sub & 7;
+                const rp = ["BC", "DE", "HL", "SP"][sy >> 1];
+                txt = 'ED ' + this.hex(sub);
+                if (sx === 1) {
+                    if (sz === 0) txt = (sy === 6) ? 'IN (C)' : `IN ${r8[sy]}, (C)`;
+                    else if (sz === 1) txt = (sy === 6) ? 'OUT (C), 0' : `OUT (C), ${r8[sy]}`;
+                    else if (sz === 2) txt = `${(sy & 1) ? 'ADC' : 'SBC'} HL, ${rp}`;
+                    else if (sz === 3) txt = (sy & 1) ? `LD ${rp}, (${nn()})` : `LD (${nn()}), ${rp}`;
+                    else if (sz === 4) txt = 'NEG';
+                    else if (sz === 5) txt = (sy === 1) ? 'RETI' : 'RETN';
+                    else if (sz === 6) txt = `IM ${[0, 0, 1, 2, 0, 0, 1, 2][sy]}`;
+                    else if (sy < 6) txt = ["LD I, A", "LD R, A", "LD A, I", "LD A, R", "RRD", "RLD"][sy];
+                }
+                else if (sx === 2 && sz <= 3 && sy >= 4) {
+                    txt = [["LDI", "CPI", "INI", "OUTI"], ["LDD", "CPD", "IND", "OUTD"],
+                        ["LDIR", "CPIR", "INIR", "OTIR"], ["LDDR", "CPDR", "INDR", "OTDR"]][sy - 4][sz];
+                }
+            }
+            else { txt = 'NOP'; len = 1; } // DD/FD followed by another prefix: this one is ignored
+        }
+        else if (z === 6) txt = `${alu[y]} A, ${n()}`;
+        else { txt = `RST ${imm(op & 0x38, 2)}`; target = op & 0x38; }
 
-// --- Specific Hardware Logic ---
-const Hardware = {
-    init() {
-        this.pressedKey = 0xFF;
-        this.keyBuffer = null;
-        this.genLEDs();
-        this.gen7Seg();
-        this.genLCD();
-        this.genMatrix();
-        this.genKeypad();
-        this.genDIPs();
-        this.genBtns();
-        this.initIO();
+        const bytes = [];
+        for (let k = 0; k < len; k++) bytes.push(this.hex(fetch(k)));
+        return { txt, len, bytes: bytes.join(' '), word, target };
     },
 
-    initIO() {
-        // LEDs
-        IO.onOut(0x00, (v) => {
-            for (let i = 0; i < 8; i++) {
-                const el = document.getElementById(`led-${i}`);
-                if ((v >> i) & 1) el.classList.add('on'); else el.classList.remove('on');
-            }
-        });
+    getLines(pc, mem, count = 5) {
+        const l = [];
+        let addr = pc;
+        for (let i = 0; i < count; i++) {
+            const d = this.decode(addr, mem);
+            l.push(`<div${i === 0 ? ' style="color:yellow"' : ''}>${this.hex(addr, 4)}: <span style="color:#aaa">${d.bytes.padEnd(8)}</span> ${d.txt}</div>`);
+            addr = (addr + d.len) & 0xFFFF;
+        }
+        return l.join('');
+    },
 
-        // Keypad (0x40)
-        // Read: Returns key code if available, else 0xFF.
-        // Logic: Input is buffered until read.
-        IO.onIn(0x40, () => {
-            if (Hardware.keyBuffer !== null) {
-                const k = Hardware.keyBuffer;
-                Hardware.keyBuffer = null; // Consume
-                if (Main.logEnabled) console.log(`IO: Port 0x40 Read -> ${k}`);
-                return k;
+    /**
+     * Recursive-descent trace from the given entry points, following jumps and calls.
+     * @returns {object} { code: Uint8Array (1 = instruction start, 2 = operand byte), targets: Map addr -> 'call'|'jump', words: Set }
+     */
+    trace(mem, entries) {
+        const code = new Uint8Array(0x10000);
+        const targets = new Map();
+        const words = new Set(); // Operands of 16-bit loads, exported as DW
+        const work = entries.slice();
+        while (work.length) {
+            let a = work.pop();
+            while (a <= 0xFFFF && !code[a]) {
+                const d = this.decode(a, mem);
+                if (a + d.len > 0x10000) break;
+                let overlap = false;
+                for (let k = 1; k < d.len; k++) if (code[a + k]) overlap = true;
+                if (overlap) break; // Runs into an instruction decoded from another path
+
+                code[a] = 1;
+                for (let k = 1; k < d.len; k++) code[a + k] = 2;
+                if (d.target !== undefined) {
+                    const kind = /^(CALL|RST)/.test(d.txt) ? 'call' : 'jump';
+                    if (targets.get(d.target) !== 'call') targets.set(d.target, kind);
+                    work.push(d.target);
+                }
+                if (d.word !== undefined && /^LD .*\(\w{4}\)/.test(d.txt) && !/, A$|^LD A,/.test(d.txt)) words.add(d.word);
+                // Execution does not fall through these
+                if (/^(RET|RETI|RETN|JP [^,]+|JR [^,]+)$/.test(d.txt)) break;
+                a += d.len;
             }
-            // console.log(`IO: Port 0x40 Read -> 0xFF (Empty)`);
-            return 0xFF;
-        });
-
-        // 7-Seg
-        // 0x10-0x17
-        for (let i = 0; i < 8; i++) {
-            IO.onOut(0x10 + i, (v) => {
-                if (Main.logEnabled) console.log(`IO: 7-Seg Port 0x${(0x10 + i).toString(16)} Write: 0x${v.toString(16)}`);
-                const segs = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
-                segs.forEach((s, b) => {
-                    const el = document.getElementById(`seg-${i}-${s}`);
-                    if ((v >> b) & 1) el.classList.add('on'); else el.classList.remove('on');
-                });
-            });
         }
+        return { code, targets, words };
+    },
 
-        // LCD
-        // 0x20 CMD, 0x21 DAT
-        this.lcd = { lines: ['', ''], cursor: { r: 0, c: 0 } };
-
-        IO.onOut(0x20, (v) => { // LCD CMD
-            if (v === 0x01) { // Clear
-                this.lcd.lines = ['', ''];
-                this.lcd.cursor = { r: 0, c: 0 };
-                this.updateLCD();
-            }
-            else if (v === 0x18) { // Shift Display Left
-                // Simulating shifting by moving characters in the buffer
-                // Real HW moves the window over DDRAM, but restricted buffer requires simple string shift.
-                for (let r = 0; r < 2; r++) {
-                    const line = this.lcd.lines[r].padEnd(16, ' ');
-                    this.lcd.lines[r] = line.substring(1) + ' ';
+    /**
+     * Export memory as assembler source that Assembler.assemble() turns back into the same bytes.
+     * Code is found by tracing from reset, the RST/NMI vectors in use and the code labels of asm;
+     * everything else becomes DB/DW/DS.
+     * @param {Memory} mem
+     * @param {Assembler} asm - Last assembly, for label names and which addresses hold data (may be empty).
+     * @returns {object} { text, end, instructions, dataBytes }
+     */
+    exportSource(mem, asm) {
+        const hex = this.hex;
+        let end = 0x10000;
+        while (end > 0 && mem.read(end - 1) === 0) end--;
+
+        const known = this.codeLabels(asm);
+        const entries = [0x0000];
+        [0x08, 0x10, 0x18, 0x20, 0x28, 0x30, 0x38, 0x66].forEach(v => { if (v < end && mem.read(v) !== 0) entries.push(v); });
+        for (const name in known) {
+            const a = known[name];
+            if (a < end && !(asm.dataMap && asm.dataMap[a])) entries.push(a);
+        }
+        const { code, targets, words } = this.trace(mem, entries);
+
+        // Names for every address that gets a line of its own: existing labels first, then generated ones
+        const names = {};
+        for (const name in known) if (known[name] < end && names[known[name]] === undefined) names[known[name]] = name;
+        const taken = new Set(Object.keys(asm.labels || {}));
+        const gen = (prefix, a) => {
+            let n = `${prefix}_${hex(a, 4)}`;
+            while (taken.has(n)) n += '_';
+            taken.add(n);
+            return n;
+        };
+        targets.forEach((kind, a) => {
+            if (a < end && code[a] === 1 && names[a] === undefined) names[a] = gen(kind === 'call' ? 'SUB' : 'L', a);
+        });
+        words.forEach(a => {
+            if (a < end && !code[a] && !code[a + 1] && names[a] === undefined) names[a] = gen('D', a);
+        });
+        for (const a in names) if (code[a] === 2) delete names[a]; // Inside an instruction, no line to hang it on
+
+        const num = (v, d) => '0x' + hex(v, d);
+        const sym = (v) => names[v] !== undefined ? names[v] : null;
+        const probe = new Assembler();
+        const out = [`; Disassembly of 0000-${hex(Math.max(end, 1) - 1, 4)}`, `    ORG 0x0000`];
+        let instructions = 0;
+        let dataBytes = 0;
+
+        const isBreak = (a) => code[a] === 1 || names[a] !== undefined;
+        let a = 0;
+        while (a < end) {
+            if (names[a] !== undefined) out.push(`${names[a]}:`);
+
+            if (code[a] === 1) {
+                const d = this.decode(a, mem, num);
+                const bytes = [];
+                for (let k = 0; k < d.len; k++) bytes.push(mem.read(a + k));
+                // Only keep the mnemonic if the assembler encodes it to exactly these bytes
+                let ok = false;
+                try {
+                    const st = probe.parseStatement(d.txt);
+                    const enc = probe.emitInstruction(st.mnemonic, st.args, a, false);
+                    ok = enc.length === bytes.length && enc.every((b, k) => b === bytes[k]);
+                } catch (e) { ok = false; }
+
+                if (ok) {
+                    let txt = d.txt;
+                    if (d.target !== undefined && sym(d.target)) txt = txt.replace(num(d.target, 4), sym(d.target));
+                    else if (d.word !== undefined && sym(d.word)) txt = txt.replace(num(d.word, 4), sym(d.word));
+                    out.push(`    ${txt}`);
+                    instructions++;
+                } else {
+                    out.push(`    DB ${bytes.map(b => num(b, 2)).join(', ')} ; ${d.txt}`);
+                    dataBytes += bytes.length;
                 }
-                this.updateLCD();
+                a += d.len;
+                continue;
             }
-            else if (v & 0x80) { // Set DDRAM Address
-                const addr = v & 0x7F;
-                if (addr < 0x10) this.lcd.cursor = { r: 0, c: addr };
-                else if (addr >= 0x40 && addr < 0x50) this.lcd.cursor = { r: 1, c: addr - 0x40 };
+
+            // Data up to the next instruction or label
+            let stop = a + 1;
+            while (stop < end && !isBreak(stop)) stop++;
+            dataBytes += stop - a;
+            const zeroRun = (p) => { let z = 0; while (p + z < stop && mem.read(p + z) === 0) z++; return z; };
+            while (a < stop) {
+                const zeros = zeroRun(a);
+                if (zeros >= 16) {
+                    out.push(`    DS ${zeros}`);
+                    a += zeros;
+                } else if (words.has(a) && a + 2 <= stop) {
+                    out.push(`    DW ${num(mem.read(a) | (mem.read(a + 1) << 8), 4)}`);
+                    a += 2;
+                } else {
+                    const row = [];
+                    do {
+                        row.push(num(mem.read(a), 2));
+                        a++;
+                    } while (a < stop && row.length < 8 && zeroRun(a) < 16);
+                    out.push(`    DB ${row.join(', ')}`);
+                }
             }
-        });
+        }
+        return { text: out.join('\n') + '\n', end, instructions, dataBytes };
+    },
 
-        IO.onOut(0x21, (v) => { // LCD DATA
-            const char = String.fromCharCode(v);
-            const { r } = this.lcd.cursor;
+    // Labels that name addresses (EQU constants excluded)
+    codeLabels(asm) {
+        const out = {};
+        for (const name in asm.labels) if (!asm.equates || !asm.equates.has(name)) out[name] = asm.labels[name];
+        return out;
+    },
 
-            // Ensure line is initialized
-            if (this.lcd.lines[r] === undefined) this.lcd.lines[r] = "";
+    // Nearest label at or below addr as LABEL or LABEL+n, null if there is none
+    symbolize(addr, labels) {
+        let best = null;
+        for (const name in labels) {
+            const a = labels[name];
+            if (a <= addr && (best === null || a > labels[best])) best = name;
+        }
+        if (best === null) return null;
+        const off = addr - labels[best];
+        return off ? `${best}+${off}` : best;
+    },
 
-            // Standard Behavior: Write at cursor, increment cursor.
-            if (this.lcd.cursor.c < 16) {
-                // Pad if needed
-                if (this.lcd.lines[r].length < 16) this.lcd.lines[r] = this.lcd.lines[r].padEnd(16, ' ');
+};
 
-                const chars = this.lcd.lines[r].split('');
-                chars[this.lcd.cursor.c] = char;
-                this.lcd.lines[r] = chars.join('');
-                this.lcd.cursor.c++;
-                this.updateLCD();
-            }
-            // If >= 16, ignore (standard behavior for this limited simulator)
-        });
+// Memory Editor: virtualised 64 KB hex/ASCII view in the debug pane. Only the visible rows are rendered.
+const MemoryEditor = {
+    ROW_H: 16, // Row height in px, must match .mem-row in style.css
+    sel: null, // Selected address (go-to, search result, last edit)
+    prev: new Uint8Array(65536), // Memory before the last step, for change highlighting
+    editing: false,
 
-        // Matrix
-        // 0x80 - 0x9F
-        for (let r = 0; r < 16; r++) {
-            IO.onOut(0x80 + r * 2, (v) => {
-                for (let c = 0; c < 8; c++) this.setDot(r, c, (v >> c) & 1);
-            });
-            IO.onOut(0x80 + r * 2 + 1, (v) => {
-                for (let c = 0; c < 8; c++) this.setDot(r, c + 8, (v >> c) & 1);
-            });
+    init() {
+        const view = document.getElementById('mem-view');
+        if (!view) return;
+        view.innerHTML = `<div class="mem-spacer" style="height: ${0x1000 * this.ROW_H}px"></div>`;
+        view.onscroll = () => this.render();
+        view.onclick = (e) => {
+            const a = e.target.dataset ? e.target.dataset.addr : undefined;
+            if (a !== undefined) this.edit(parseInt(a));
+        };
+        this.mark();
+    },
+
+    // Snapshot memory before executing so the next render highlights what changed
+    mark() {
+        this.prev.set(MEM.data);
+    },
+
+    render() {
+        const view = document.getElementById('mem-view');
+        const spacer = view && view.firstElementChild;
+        if (!spacer || this.editing) return;
+        const first = Math.floor(view.scrollTop / this.ROW_H);
+        const last = Math.min(first + Math.ceil(view.clientHeight / this.ROW_H) + 1, 0x1000);
+        const peak = PROF.enabled ? PROF.peak() : 0;
+        let html = '';
+        for (let row = first; row < last; row++) {
+            const base = row * 16;
+            let bytes = '';
+            let ascii = '';
+            for (let j = 0; j < 16; j++) {
+                const addr = base + j;
+                const v = MEM.read(addr);
+                let cls = 'mem-byte';
+                if (v !== this.prev[addr]) cls += ' changed';
+                if (addr === this.sel) cls += ' sel';
+                if (addr === CPU.reg.PC) cls += ' pc';
+                const bg = Profiler.heat(PROF.cycles[addr], peak);
+                const style = bg ? ` style="background: ${bg}"` : '';
+                bytes += `<span class="${cls}" data-addr="${addr}"${style}>${DISASM.hex(v, 2)}</span>`;
+                ascii += (v >= 32 && v <= 126) ? String.fromCharCode(v) : '.';
+            }
+            html += `<div class="mem-row" style="top: ${row * this.ROW_H}px"><span class="mem-addr">${DISASM.hex(base, 4)}</span>` +
+                `${bytes}<span class="mem-ascii">${Main.escapeHtml(ascii)}</span></div>`;
         }
+        spacer.innerHTML = html;
+    },
 
-        // DIP Switches Input (0x50 - 0x57)
-        for (let i = 0; i < 8; i++) {
-            IO.onIn(0x50 + i, () => {
-                const el = document.getElementById(`dip-${i + 1}`);
-                return el && el.classList.contains('on') ? 1 : 0;
-            });
+    // Scroll so that addr is visible, centring it if it was off screen
+    reveal(addr) {
+        const view = document.getElementById('mem-view');
+        const top = (addr >> 4) * this.ROW_H;
+        if (top < view.scrollTop || top + this.ROW_H > view.scrollTop + view.clientHeight) {
+            view.scrollTop = Math.max(0, top - (view.clientHeight - this.ROW_H) / 2);
         }
+        this.render();
+    },
 
-        // Interrupt Buttons Input (0x60)
-        IO.onIn(0x60, () => {
-            return Hardware.btnState || 0;
-        });
+    // Plain hex digits are an address; anything else is an expression (labels, 0x10, 10h, LOOP+2)
+    parse(text) {
+        const t = text.trim();
+        if (/^(0x)?[0-9A-F]+$/i.test(t)) return parseInt(t.replace(/^0x/i, ''), 16);
+        return Main.breakpoints.evaluate(t);
+    },
 
-        // RTC (0xC0: Sec, 0xC1: Min, 0xC2: Hour)
-        IO.onOut(0xC0, (v) => { }); // Ignore writes
-        IO.onIn(0xC0, () => new Date().getSeconds());
-        IO.onIn(0xC1, () => new Date().getMinutes());
-        IO.onIn(0xC2, () => new Date().getHours());
+    error(msg) {
+        document.getElementById('status-bar').innerText = `Memory Error: ${msg}`;
+    },
 
-        // Buzzer (0x30)
-        IO.onOut(0x30, (v) => {
-            Hardware.playBuzzer(v);
-        });
+    goto() {
+        try {
+            this.sel = this.parse(document.getElementById('mem-addr-input').value) & 0xFFFF;
+            this.reveal(this.sel);
+        } catch (e) {
+            this.error(e.message);
+        }
     },
 
-    setDot(r, c, on) {
-        const el = document.getElementById(`mat-${r}-${c}`);
-        if (on) el.classList.add('on'); else el.classList.remove('on');
+    // Edit one byte in place. Two hex digits or Enter writes it and moves to the next byte.
+    edit(addr) {
+        if (Main.timer || this.editing) return;
+        const cell = document.querySelector(`#mem-view [data-addr="${addr}"]`);
+        if (!cell) return;
+        this.sel = addr;
+        this.editing = true;
+        const input = document.createElement('input');
+        input.className = 'mem-edit';
+        input.maxLength = 2;
+        input.value = DISASM.hex(MEM.read(addr), 2);
+        cell.innerText = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (apply, next) => {
+            if (done) return;
+            done = true;
+            this.editing = false;
+            const text = input.value.trim();
+            if (apply && text !== DISASM.hex(MEM.read(addr), 2)) {
+                if (/^[0-9A-F]{1,2}$/i.test(text)) MEM.write(addr, parseInt(text, 16));
+                else this.error(`Not a hex byte: ${text}`);
+            }
+            Main.updateDebug(); // Disassembly follows the new bytes
+            if (next) {
+                this.reveal((addr + 1) & 0xFFFF);
+                this.edit((addr + 1) & 0xFFFF);
+            }
+        };
+        input.oninput = () => {
+            if (/^[0-9A-F]{2}$/i.test(input.value)) finish(true, true);
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                finish(true, true);
+            } else if (e.key === 'Escape') finish(false, false);
+        };
+        input.onblur = () => finish(true, false);
     },
 
-    genLEDs() {
-        const c = document.getElementById('comp-leds');
-        let html = '';
-        for (let i = 0; i < 8; i++) {
-            html += `<div class="led" id="led-${i}"></div>`;
+    /**
+     * Parse a search pattern: "text" or 'text' for ASCII, otherwise hex bytes where ?? matches anything.
+     * @returns {Array<number|null>} Bytes to match, null for wildcards.
+     */
+    parsePattern(text) {
+        const t = text.trim();
+        const quoted = /^(["'])(.*)\1$/.exec(t);
+        if (quoted) return [...quoted[2]].map(c => c.charCodeAt(0) & 0xFF);
+        return t.split(/[\s,]+/).filter(b => b).map(b => {
+            if (b === '??') return null;
+            if (!/^[0-9A-F]{1,2}$/i.test(b)) throw new Error(`Bad byte in search pattern: ${b}`);
+            return parseInt(b, 16);
+        });
+    },
+
+    // First match at or after `from`, wrapping round to 0000. A match never straddles FFFF.
+    search(pattern, from) {
+        for (let i = 0; i < 0x10000; i++) {
+            const a = (from + i) & 0xFFFF;
+            if (a + pattern.length > 0x10000) continue;
+            let j = 0;
+            while (j < pattern.length && (pattern[j] === null || MEM.data[a + j] === pattern[j])) j++;
+            if (j === pattern.length) return a;
         }
-        c.innerHTML = html;
+        return null;
     },
 
-    gen7Seg() {
-        const c = document.getElementById('comp-7seg');
-        let html = '';
-        for (let i = 0; i < 8; i++) {
-            // Digit container
-            html += `<div class="seven-seg-digit" id="digit-${i}">`;
-            // Segments
-            const segs = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
-            segs.forEach(s => {
-                html += `<div class="seg s-${s}" id="seg-${i}-${s}"></div>`;
-            });
-            html += `</div>`;
+    find() {
+        try {
+            const pattern = this.parsePattern(document.getElementById('mem-search').value);
+            if (pattern.length === 0) throw new Error('Empty search pattern');
+            const addr = this.search(pattern, this.sel === null ? 0 : (this.sel + 1) & 0xFFFF);
+            if (addr === null) {
+                document.getElementById('status-bar').innerText = 'Pattern not found';
+                return;
+            }
+            this.sel = addr;
+            this.reveal(addr);
+            document.getElementById('status-bar').innerText = `Found at ${DISASM.hex(addr, 4)}`;
+        } catch (e) {
+            this.error(e.message);
         }
-        c.innerHTML = html;
     },
 
-    genLCD() {
-        // LCD HTML is static in index.html, so we just clear/init state if needed.
-        this.lcd = { lines: ['', ''], cursor: { r: 0, c: 0 } };
-        // Could clear content if needed
-        document.getElementById('lcd-l1').innerText = "";
-        document.getElementById('lcd-l2').innerText = "";
+    fill(start, end, value) {
+        for (let a = start; a <= end; a++) MEM.write(a, value);
     },
 
-    genMatrix() {
-        const c = document.getElementById('comp-matrix');
-        let h = '';
-        for (let r = 0; r < 16; r++) {
-            for (let col = 0; col < 16; col++) {
-                h += `<div class="m-dot" id="mat-${r}-${col}"></div>`;
+    // Overlapping ranges copy as if through a buffer
+    copy(start, end, dest) {
+        MEM.data.slice(start, end + 1).forEach((v, i) => MEM.write((dest + i) & 0xFFFF, v));
+    },
+
+    /**
+     * Run a range command from the mem-cmd box.
+     * @param {string} text - "fill START END BYTE" or "copy START END DEST" (spaces or commas between arguments).
+     */
+    command(text = document.getElementById('mem-cmd').value) {
+        try {
+            const [op, ...rest] = text.trim().split(/\s+/);
+            const args = rest.join(' ').split(rest.join('').includes(',') ? ',' : /\s+/).filter(a => a.trim()).map(a => this.parse(a));
+            const hex = DISASM.hex;
+            if (args.length !== 3 || !/^(fill|copy)$/i.test(op)) throw new Error('Usage: fill START END BYTE | copy START END DEST');
+            const [start, end, third] = args;
+            if (start < 0 || end > 0xFFFF || end < start) throw new Error('Range must be START <= END within 0000-FFFF');
+            if (op.toLowerCase() === 'fill') {
+                if (third < 0 || third > 0xFF) throw new Error('Fill value must be a byte');
+                this.fill(start, end, third);
+                document.getElementById('status-bar').innerText = `Filled ${hex(start, 4)}-${hex(end, 4)} with ${hex(third, 2)}`;
+            } else {
+                this.copy(start, end, third & 0xFFFF);
+                document.getElementById('status-bar').innerText = `Copied ${hex(start, 4)}-${hex(end, 4)} to ${hex(third & 0xFFFF, 4)}`;
             }
+            Main.updateDebug();
+        } catch (e) {
+            this.error(e.message);
         }
-        c.innerHTML = h;
     },
+};
 
-    genKeypad() {
-        const c = document.getElementById('comp-keypad');
-        const keys = "123A456B789C*0#D".split('');
-        c.innerHTML = keys.map(k => `<div class="key" data-k="${k}">${k}</div>`).join('');
 
-        if (this.keypadInitialized) return;
-        this.keypadInitialized = true;
-        this.lastKeyTime = 0;
+// Disassembly view: scrollable symbolic listing. Follows PC until the user follows a jump elsewhere.
+const DisasmView = {
+    count: 64, // Instructions rendered; grows when scrolled to the bottom
+    top: 0, // Address of the first rendered instruction
+    follow: true, // Re-anchor on PC whenever it leaves the rendered window
+    history: [], // Window tops to return to after following jumps
 
-        c.addEventListener('mousedown', (e) => {
-            if (e.target.classList.contains('key')) {
-                const now = Date.now();
-                if (now - this.lastKeyTime < 100) return; // Debounce 100ms
-                this.lastKeyTime = now;
+    init() {
+        const view = document.getElementById('disasm-view');
+        if (!view) return;
+        view.onclick = (e) => {
+            const t = e.target.dataset || {};
+            if (t.goto !== undefined) this.jump(parseInt(t.goto));
+            else if (t.bp !== undefined) this.toggleBreakpoint(parseInt(t.bp));
+            else if (t.earlier !== undefined) this.earlier();
+        };
+        view.onscroll = () => {
+            if (this.count < 1024 && view.scrollTop + view.clientHeight >= view.scrollHeight - 4) {
+                this.count += 64;
+                this.render();
+            }
+        };
+    },
 
-                const k = e.target.dataset.k;
-                const map = "123A456B789C*0#D";
-                this.keyBuffer = map.indexOf(k); // Buffer the key
-                if (typeof IO !== 'undefined') IO.triggerInterrupt();
+    // Nearest instruction start the assembler emitted below addr, or addr - 1 if none is close
+    prevStart(addr) {
+        for (let a = addr - 1; a >= Math.max(0, addr - 4); a--) {
+            if (ASM.sourceMap[a] !== undefined) return a;
+        }
+        return Math.max(0, addr - 1);
+    },
+
+    // Window start showing a few instructions of context above addr
+    anchor(addr) {
+        let a = addr;
+        for (let i = 0; i < 4 && a > 0; i++) {
+            const p = this.prevStart(a);
+            if (ASM.sourceMap[p] === undefined) break;
+            a = p;
+        }
+        return a;
+    },
+
+    render() {
+        const view = document.getElementById('disasm-view');
+        if (!view) return;
+        const pc = CPU.reg.PC;
+        const names = DISASM.codeLabels(ASM);
+        const byAddr = {};
+        for (const n in names) if (byAddr[names[n]] === undefined) byAddr[names[n]] = n;
+
+        let rows = [];
+        let pcShown = false;
+        const build = () => {
+            rows = [];
+            pcShown = false;
+            let addr = this.top;
+            for (let i = 0; i < this.count && addr <= 0xFFFF; i++) {
+                const d = DISASM.decode(addr, MEM);
+                if (addr === pc) pcShown = true;
+                rows.push({ addr, d });
+                addr += d.len;
             }
+        };
+        build();
+        if (this.follow && !pcShown) {
+            this.top = this.anchor(pc);
+            build();
+        }
+
+        const hex = DISASM.hex;
+        const bpAt = (a) => Main.breakpoints.list.find(bp => bp.addr === a ||
+            (bp.addr === null && bp.line !== null && bp.line === ASM.sourceMap[a] && bp.file === ASM.fileMap[a]));
+        let html = `<div class="dis-earlier" data-earlier="1">&#x25B2; earlier</div>`;
+        rows.forEach(({ addr, d }) => {
+            if (byAddr[addr] !== undefined) html += `<div class="dis-label">${byAddr[addr]}:</div>`;
+            const bp = bpAt(addr);
+            let cls = 'dis-line';
+            if (addr === pc) cls += ' pc';
+            if (bp) cls += bp.enabled ? ' bp' : ' bp disabled';
+            html += `<div class="${cls}"><span class="dis-gutter" data-bp="${addr}" title="Toggle breakpoint">${bp ? '&#x25CF;' : '&nbsp;'}</span>` +
+                `<span class="dis-addr">${hex(addr, 4)}</span> <span class="dis-bytes">${d.bytes.padEnd(11)}</span> ${this.operands(d, byAddr)}</div>`;
         });
+        view.innerHTML = html;
 
-        // Removed mouseup clearing to support buffered input logic
+        if (this.follow) {
+            const el = view.querySelector('.dis-line.pc');
+            if (el && (el.offsetTop < view.scrollTop || el.offsetTop + el.offsetHeight > view.scrollTop + view.clientHeight)) {
+                view.scrollTop = el.offsetTop - view.clientHeight / 3;
+            }
+        }
     },
 
-    genDIPs() {
-        const c = document.getElementById('comp-dips');
-        let h = '';
-        for (let i = 1; i <= 8; i++) {
-            h += `<div class="dip-switch" id="dip-${i}" onclick="Hardware.toggleDIP(${i})">
-                    <div class="dip-slider"><div class="dip-knob"></div></div>
-                    <div class="dip-label">${i}</div>
-                  </div>`;
+    // Instruction text with addresses replaced by labels and jump targets made clickable
+    operands(d, byAddr) {
+        const hex = DISASM.hex;
+        let txt = d.txt;
+        if (d.target !== undefined) {
+            const name = byAddr[d.target] || hex(d.target, 4);
+            const link = `<span class="dis-target" data-goto="${d.target}" title="Follow to ${hex(d.target, 4)}">`;
+            if (/^(JR|DJNZ)/.test(txt)) txt = txt.replace(/-?\d+$/, `${link}${name}</span>`);
+            else if (/^RST/.test(txt)) txt = txt.replace(/[0-9A-F]+$/, (m) => `${link}${m}</span>`);
+            else txt = txt.replace(hex(d.target, 4), `${link}${name}</span>`);
+        } else if (d.word !== undefined && byAddr[d.word] !== undefined) {
+            txt = txt.replace(hex(d.word, 4), byAddr[d.word]);
         }
-        c.innerHTML = h;
+        return txt;
     },
 
-    toggleDIP(id) {
-        document.getElementById(`dip-${id}`).classList.toggle('on');
+    jump(addr) {
+        this.history.push(this.top);
+        this.follow = false;
+        this.top = addr;
+        this.count = 64;
+        this.render();
+        document.getElementById('disasm-view').scrollTop = 0;
     },
 
-    genBtns() {
-        const c = document.getElementById('comp-int-btns');
-        let h = '';
-        for (let i = 1; i <= 8; i++) {
-            h += `<div class="push-btn" onmousedown="Hardware.pressBtn(${i})" onmouseup="Hardware.releaseBtn(${i})">${i}</div>`;
-        }
-        c.innerHTML = h;
-        this.btnState = 0;
+    back() {
+        if (this.history.length === 0) return;
+        this.top = this.history.pop();
+        this.count = 64;
+        this.render();
+        document.getElementById('disasm-view').scrollTop = 0;
     },
 
-    pressBtn(id) {
-        // Trigger INT logic here
-        this.btnState |= (1 << (id - 1));
-        if (typeof IO !== 'undefined') IO.triggerInterrupt();
-    },
-    releaseBtn(id) {
-        // Release logic
-        this.btnState &= ~(1 << (id - 1));
+    // Return to following PC
+    home() {
+        this.history = [];
+        this.follow = true;
+        this.count = 64;
+        this.render();
     },
 
-    updateLCD() {
-        document.getElementById('lcd-l1').innerText = this.lcd.lines[0];
-        document.getElementById('lcd-l2').innerText = this.lcd.lines[1];
+    earlier() {
+        this.follow = false;
+        for (let i = 0; i < 8 && this.top > 0; i++) this.top = this.prevStart(this.top);
+        this.render();
     },
 
-    genBuzzer() {
-        // Simple visual indicator for Buzzer
-        const c = document.getElementById('comp-buzzer'); // User needs to add this container or we append
-        if (!c) return;
-        c.innerHTML = `<div id="buzzer-icon" style="width:50px;height:50px;background:#333;border-radius:50%;display:flex;align-items:center;justify-content:center;color:white;font-size:24px;">♪</div>`;
+    toggleBreakpoint(addr) {
+        const line = ASM.sourceMap[addr];
+        const lineBp = line !== undefined && Main.breakpoints.findLine(line, ASM.fileMap[addr]);
+        if (lineBp) Main.breakpoints.remove(lineBp.id);
+        else Main.breakpoints.toggleAddr(addr);
+        Main.updateLineNumbers();
+        Main.renderBreakpoints();
     },
+};
 
-    playBuzzer(val) {
-        if (!this.audioCtx) {
-            const AudioContext = window.AudioContext || window.webkitAudioContext;
-            this.audioCtx = new AudioContext();
-        }
-        // Try to resume if suspended (requires user interaction first typically)
-        if (this.audioCtx.state === 'suspended') {
-            this.audioCtx.resume().catch(() => { });
-        }
 
-        const icon = document.getElementById('buzzer-icon');
 
-        if (val === 0) {
-            if (this.osc) {
-                try {
-                    this.osc.stop();
-                    this.osc.disconnect();
-                } catch (e) { }
-                this.osc = null;
-            }
-            if (icon) {
-                icon.style.background = '#333';
-                icon.style.boxShadow = 'none';
-            }
-            return;
-        }
+/**
+ * Project: named source files, shown as tabs in the one editor, plus binary assets.
+ * The main file is assembled; the others come in through INCLUDE (sources) and INCBIN (assets).
+ */
+const Project = {
+    files: { 'main.asm': '' }, // Name -> source text
+    assets: {}, // Name -> Uint8Array
+    main: 'main.asm',
+    active: 'main.asm', // File in the editor
+    history: {}, // Name -> editor undo state of the files not shown
+    assetRevision: 0, // Bumped on asset changes so the next run reassembles
 
-        // Visual Feedback
-        if (icon) {
-            icon.style.background = '#e74c3c';
-            icon.style.boxShadow = '0 0 15px #e74c3c';
+    init() {
+        const editor = document.getElementById('source-code');
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem('z80_project'));
+            if (saved) saved.assets = JSON.parse(localStorage.getItem('z80_assets') || '{}');
+        } catch (e) {
+            console.warn('Saved project is unreadable:', e.message);
         }
+        if (saved && saved.files) this.setState(saved);
+        else this.files = { [this.main]: localStorage.getItem('z80_source') || editor.value }; // Single-file IDE
 
-        // Audio
-        if (!this.osc) {
-            this.osc = this.audioCtx.createOscillator();
-            this.osc.type = 'square';
-            this.osc.connect(this.audioCtx.destination);
-            this.osc.start();
+        editor.value = this.files[this.active];
+
+        const tabs = document.getElementById('file-tabs');
+        const assetInput = document.getElementById('asset-input');
+        const attempt = (fn) => {
+            try { fn(); } catch (e) { document.getElementById('status-bar').innerText = `Project Error: ${e.message}`; }
+        };
+        tabs.onclick = (e) => {
+            const t = e.target.dataset || {};
+            if (t.del !== undefined) {
+                if (confirm(`Remove ${t.del} from the project?`)) attempt(() => this.remove(t.del));
+            } else if (t.file !== undefined) this.open(t.file);
+            else if (t.add !== undefined) {
+                const name = prompt('New file name:', 'new.asm');
+                if (name) attempt(() => this.add(name.trim()));
+            } else if (t.import !== undefined) assetInput.click();
+        };
+        tabs.ondblclick = (e) => {
+            const old = (e.target.dataset || {}).file;
+            if (old === undefined) return;
+            const name = prompt('Rename file:', old);
+            if (name && name.trim() !== old) attempt(() => this.rename(old, name.trim()));
+        };
+        assetInput.onchange = (e) => {
+            Array.from(e.target.files).forEach(file => {
+                const name = file.name.replace(/[^\w.-]/g, '_');
+                const reader = new FileReader();
+                if (this.SOURCE_RE.test(name)) {
+                    reader.onload = () => attempt(() => this.add(name, reader.result, true));
+                    reader.readAsText(file);
+                } else {
+                    reader.onload = () => attempt(() => this.addAsset(name, new Uint8Array(reader.result)));
+                    reader.readAsArrayBuffer(file);
+                }
+            });
+            assetInput.value = '';
+        };
+        this.renderTabs();
+    },
+
+    SOURCE_RE: /\.(asm|z80|inc|s|txt)$/i, // Imported as editable source; anything else is an asset
+
+    checkName(name, except = null) {
+        if (!/^[\w.-]+$/.test(name)) throw new Error(`Invalid file name: ${name} (letters, digits, _ . - only)`);
+        if (name !== except && (this.files[name] !== undefined || this.assets[name] !== undefined)) {
+            throw new Error(`${name} is already in the project`);
         }
-        // Frequency = val * 20 + 200 (Range: 200Hz - 5300Hz)
-        const freq = 200 + (val * 20);
-        this.osc.frequency.setValueAtTime(freq, this.audioCtx.currentTime);
-    }
-};
+    },
 
+    // Copy the editor back into the active file and persist the sources
+    update() {
+        const editor = document.getElementById('source-code');
+        if (editor) this.files[this.active] = editor.value;
+        localStorage.setItem('z80_project', JSON.stringify({ files: this.files, main: this.main, active: this.active }));
+    },
 
-// --- Main Initialization ---
-const MEM = new Memory();
-const IO = new IOController();
-const CPU = new Z80(MEM, IO);
-IO.bindCPU(CPU);
-const ASM = new Assembler();
+    saveAssets() {
+        localStorage.setItem('z80_assets', JSON.stringify(this.getState().assets));
+    },
 
-const DISASM = {
-    hex: (n, d = 2) => n.toString(16).toUpperCase().padStart(d, '0'),
+    // Everything the assembler reads; differs whenever a rebuild is needed
+    key() {
+        this.update();
+        return JSON.stringify([this.main, this.files, this.assetRevision]);
+    },
 
-    decode(addr, mem) {
-        const fetch = (o = 0) => mem.read((addr + o) & 0xFFFF);
-        let op = fetch(0);
-        let len = 1;
-        let prefix = '';
-        let offset = 0;
-        let hasOffset = false;
+    // Files for Assembler.assemble(): sources and assets by name
+    sources() {
+        return Object.assign({}, this.assets, this.files);
+    },
 
-        // Prefix Check
-        if (op === 0xDD || op === 0xFD) {
-            prefix = (op === 0xDD) ? 'IX' : 'IY';
-            op = fetch(1);
-            len++;
+    /**
+     * Show a file in the editor, keeping the undo history and caret of the one it replaces.
+     * @param {string} name
+     * @returns {boolean} False if there is no such source file.
+     */
+    open(name) {
+        if (this.files[name] === undefined) return false;
+        if (name !== this.active) {
+            this.update();
+            this.history[this.active] = Editor.switchTo(this.files[name], this.history[name]);
+            Editor.problems = Main.problemsIn(name);
+            delete this.history[name];
+            this.active = name;
+            this.update();
+            this.renderTabs();
+            Main.updateLineNumbers();
         }
+        return true;
+    },
 
-        let txt = 'UNK ' + this.hex(op);
+    /**
+     * Add a source file and open it.
+     * @param {string} name
+     * @param {string} text
+     * @param {boolean} replace - Overwrite a source file of the same name (import) instead of failing.
+     */
+    add(name, text = '', replace = false) {
+        if (!(replace && this.files[name] !== undefined)) this.checkName(name);
+        this.update();
+        this.files[name] = text;
+        if (name === this.active) Editor.setValue(text);
+        this.open(name);
+        this.update();
+        this.renderTabs();
+    },
 
+    addAsset(name, bytes) {
+        if (this.assets[name] === undefined) this.checkName(name);
+        this.assets[name] = bytes;
+        this.assetRevision++;
+        this.saveAssets();
+        this.renderTabs();
+    },
 
-        const r8 = ["B", "C", "D", "E", "H", "L", "(HL)", "A"];
-        const r16 = ["BC", "DE", "HL", "SP"];
-        const cond = ["NZ", "Z", "NC", "C", "PO", "PE", "P", "M"];
+    remove(name) {
+        if (name === this.main) throw new Error('The main file cannot be removed');
+        if (this.assets[name] !== undefined) {
+            delete this.assets[name];
+            this.assetRevision++;
+            this.saveAssets();
+        } else {
+            this.open(this.main);
+            delete this.files[name];
+            delete this.history[name];
+            Main.breakpoints.list.filter(bp => bp.file === name).forEach(bp => Main.breakpoints.remove(bp.id));
+            this.update();
+            Main.renderBreakpoints();
+        }
+        this.renderTabs();
+    },
 
-        // Helper to format (IX+d)
-        const getIdx = (d) => `(${prefix}${d >= 0 ? '+' : ''}${d})`;
-        const getR8 = (i) => {
-            if (prefix && i === 6) return 'IDX_PLACEHOLDER'; // Determine offset later? 
-            // Actually, if prefix, (HL) becomes (IX+d).
-            // But we need the displacement byte which is usually the 3rd byte (len=3 or 4).
-            // Logic: standard opcodes use HL. If prefix, we fetch displacement at specific point.
-            if (prefix && ["H", "L", "(HL)"].includes(r8[i])) {
-                if (i === 6) { hasOffset = true; return 'IDX'; }
-                if (i === 4) return prefix === 'IX' ? 'IXH' : 'IYH';
-                if (i === 5) return prefix === 'IX' ? 'IXL' : 'IYL';
-            }
-            return r8[i];
+    rename(old, name) {
+        this.checkName(name, old);
+        const move = (map) => {
+            if (map[old] === undefined) return;
+            map[name] = map[old];
+            delete map[old];
         };
-        // NOTE: The simple structure below makes extensive replace hard.
-        // We'll patch specifically for the instructions we verified.
-
-        if (op === 0x00) txt = 'NOP';
-        else if (op === 0x76) txt = 'HALT';
-        else if (op === 0xD9) txt = 'EXX';
-        else if (op === 0x08) txt = "EX AF, AF'";
-        else if (op === 0xEB) txt = 'EX DE, HL';
-        else if (op === 0xE3) txt = `EX (SP), ${prefix || 'HL'}`;
-        else if (op === 0xF9) txt = `LD SP, ${prefix || 'HL'}`;
-        // LD HL, nn (21) -> LD IX, nn
-        else if (op === 0x21) {
-            const nn = this.hex(fetch(len) | (fetch(len + 1) << 8), 4);
-            txt = `LD ${prefix || 'HL'}, ${nn}`;
-            len += 2;
-        }
-
-        else if (op === 0xCD) { txt = `CALL ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`; len = 3; }
-        else if (op === 0xC9) txt = 'RET';
-        else if (op === 0xD3) { txt = `OUT (${this.hex(fetch(1))}), A`; len = 2; }
-        else if (op === 0xDB) { txt = `IN A, (${this.hex(fetch(1))})`; len = 2; }
-        else if (op === 0x18) { const d = fetch(1); txt = `JR ${d > 127 ? d - 256 : d}`; len = 2; }
-        else if (op === 0x20) { const d = fetch(1); txt = `JR NZ, ${d > 127 ? d - 256 : d}`; len = 2; }
-        else if (op === 0x28) { const d = fetch(1); txt = `JR Z, ${d > 127 ? d - 256 : d}`; len = 2; }
-        else if (op === 0x30) { const d = fetch(1); txt = `JR NC, ${d > 127 ? d - 256 : d}`; len = 2; }
-        else if (op === 0x38) { const d = fetch(1); txt = `JR C, ${d > 127 ? d - 256 : d}`; len = 2; }
-        else if (op === 0x10) { const d = fetch(1); txt = `DJNZ ${d > 127 ? d - 256 : d}`; len = 2; }
-
-        // LD (HL), n (36) -> LD (IX+d), n
-        else if (op === 0x36) { // Covers 36 match (LD (HL), n)
-            if (prefix) {
-                const d = fetch(len);
-                const n = fetch(len + 1);
-                const ds = d > 127 ? d - 256 : d;
-                txt = `LD ${getIdx(ds)}, ${this.hex(n)}`;
-                len += 2; // d + n
-            } else {
-                txt = `LD (HL), ${this.hex(fetch(1))}`;
-                len = 2;
-            }
-        }
-
-        // LD r, n
-        else if ((op & 0xC7) === 0x06) { txt = `LD ${r8[(op >> 3) & 7]}, ${this.hex(fetch(1))}`; len = 2; }
-        // LD r, r'
-        else if ((op & 0xC0) === 0x40 && op !== 0x76) {
-            const d = (op >> 3) & 7;
-            const s = op & 7;
-            let dName = r8[d];
-            let sName = r8[s];
-            if (prefix && (d === 6 || s === 6)) {
-                const disp = fetch(len);
-                const ds = disp > 127 ? disp - 256 : disp;
-                const idxStr = getIdx(ds);
-                if (d === 6) dName = idxStr;
-                if (s === 6) sName = idxStr;
-                len++;
-            }
-            txt = `LD ${dName}, ${sName}`;
-        }
-        // LD rp, nn
-        else if ((op & 0xCF) === 0x01) { txt = `LD ${r16[(op >> 4) & 3]}, ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`; len = 3; }
-
-        // INC/DEC 16-bit
-        else if ((op & 0xCF) === 0x03) { txt = `INC ${r16[(op >> 4) & 3]}`; }
-        else if ((op & 0xCF) === 0x0B) { txt = `DEC ${r16[(op >> 4) & 3]}`; }
-
-        // LD A, (BC)/(DE) and LD (BC)/(DE), A
-        else if (op === 0x02) txt = 'LD (BC), A';
-        else if (op === 0x12) txt = 'LD (DE), A';
-        else if (op === 0x0A) txt = 'LD A, (BC)';
-        else if (op === 0x1A) txt = 'LD A, (DE)';
-
-        // EX AF, AF'
-        else if (op === 0x08) txt = "EX AF, AF'";
-
-        // ADD HL, ss -> ADD IX, ss
-        else if ((op & 0xCF) === 0x09) {
-            let reg = r16[(op >> 4) & 3];
-            if (prefix && reg === 'HL') reg = prefix;
-            txt = `ADD ${prefix || 'HL'}, ${reg}`;
-        }
-
-        // ALU (HL)
-        // ... handled below in generic ALU?
-        // ALU A, r
-        else if ((op & 0xC0) === 0x80) {
-            const ops = ["ADD", "ADC", "SUB", "SBC", "AND", "XOR", "OR", "CP"];
-            const rIdx = op & 7;
-            let rName = r8[rIdx];
-            // Handle Index
-            if (prefix && rIdx === 6) {
-                const d = fetch(len);
-                const ds = d > 127 ? d - 256 : d;
-                rName = getIdx(ds);
-                len++;
-            }
-            txt = `${ops[(op >> 3) & 7]} A, ${rName}`;
+        if (this.assets[old] !== undefined) {
+            move(this.assets);
+            this.assetRevision++;
+            this.saveAssets();
+        } else {
+            this.update();
+            move(this.files);
+            move(this.history);
+            if (this.main === old) this.main = name;
+            if (this.active === old) this.active = name;
+            Main.breakpoints.list.forEach(bp => { if (bp.file === old) bp.file = name; });
+            this.update();
+            Main.renderBreakpoints();
         }
+        this.renderTabs();
+    },
 
+    renderTabs() {
+        const el = document.getElementById('file-tabs');
+        if (!el) return;
+        const esc = (s) => Main.escapeHtml(s); // Names are checked to [\w.-], so no quotes
+        const files = Object.keys(this.files).map(name =>
+            `<span class="file-tab${name === this.active ? ' active' : ''}" data-file="${esc(name)}"` +
+            ` title="${name === this.main ? 'Main file (assembled)' : 'Use with INCLUDE'}; double-click to rename">` +
+            `${name === this.main ? '&#x25B6; ' : ''}${esc(name)}` +
+            (name === this.main ? '' : `<span class="tab-del" data-del="${esc(name)}" title="Remove">&#x2715;</span>`) + `</span>`);
+        const assets = Object.keys(this.assets).map(name =>
+            `<span class="file-tab asset" title="Binary for INCBIN, ${this.assets[name].length} bytes; double-click to rename"` +
+            ` data-file="${esc(name)}">${esc(name)}<span class="tab-del" data-del="${esc(name)}" title="Remove">&#x2715;</span></span>`);
+        el.innerHTML = files.concat(assets).join('') +
+            `<span class="file-tab tab-btn" data-add="1" title="New source file">+</span>` +
+            `<span class="file-tab tab-btn" data-import="1" title="Add source files or binary assets from disk">Import</span>`;
+    },
 
-        // LD (nn), HL etc
-        else if (op === 0x22) { txt = `LD (${this.hex(fetch(1) | (fetch(2) << 8), 4)}), HL`; len = 3; }
-        else if (op === 0x2A) { txt = `LD HL, (${this.hex(fetch(1) | (fetch(2) << 8), 4)})`; len = 3; }
-        else if (op === 0x32) { txt = `LD (${this.hex(fetch(1) | (fetch(2) << 8), 4)}), A`; len = 3; }
-        else if (op === 0x3A) { txt = `LD A, (${this.hex(fetch(1) | (fetch(2) << 8), 4)})`; len = 3; }
-
-        else if (op === 0xEB) txt = 'EX DE, HL';
-        else if (op === 0x07) txt = 'RLCA';
-        else if (op === 0x0F) txt = 'RRCA';
-        else if (op === 0x17) txt = 'RLA';
-        else if (op === 0x1F) txt = 'RRA';
-
-        // JP cc, nn
-        else if ((op & 0xC7) === 0xC2) {
-            const cc = ["NZ", "Z", "NC", "C", "PO", "PE", "P", "M"][(op >> 3) & 7];
-            txt = `JP ${cc}, ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`;
-            len = 3;
-        }
-        else if (op === 0xC3) {
-            txt = `JP ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`;
-            len = 3;
-        }
-        else if (op === 0xE9) {
-            txt = `JP ${prefix ? '(' + prefix + ')' : '(HL)'}`;
+    // Sources and assets (base64) for saved state
+    getState() {
+        const assets = {};
+        for (const name in this.assets) {
+            let bin = '';
+            const data = this.assets[name];
+            for (let i = 0; i < data.length; i += 0x1000) bin += String.fromCharCode.apply(null, data.subarray(i, i + 0x1000));
+            assets[name] = btoa(bin);
         }
+        return { files: Object.assign({}, this.files), assets, main: this.main, active: this.active };
+    },
 
-        // CALL cc, nn
-        else if ((op & 0xC7) === 0xC4) {
-            const cc = ["NZ", "Z", "NC", "C", "PO", "PE", "P", "M"][(op >> 3) & 7];
-            txt = `CALL ${cc}, ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`;
-            len = 3;
+    setState(s) {
+        const names = Object.keys(s.files || {});
+        if (!names.length) throw new Error('Project has no files');
+        this.files = Object.assign({}, s.files);
+        this.assets = {};
+        for (const name in s.assets || {}) {
+            const bin = atob(s.assets[name]);
+            this.assets[name] = Uint8Array.from(bin, ch => ch.charCodeAt(0));
         }
+        this.main = this.files[s.main] !== undefined ? s.main : names[0];
+        this.active = this.files[s.active] !== undefined ? s.active : this.main;
+        this.history = {};
+        this.assetRevision++;
+    },
+};
 
-        // RET cc
-        else if ((op & 0xC7) === 0xC0) {
-            const cc = ["NZ", "Z", "NC", "C", "PO", "PE", "P", "M"][(op >> 3) & 7];
-            txt = `RET ${cc}`;
-        }
+// Source editor: the textarea keeps the text and caret, a highlighted copy is drawn behind it.
+// Also owns the undo history, so loading a sample or file can be undone like typing.
+const Editor = {
+    MNEMONICS: Assembler.MNEMONICS,
+    DIRECTIVES: new Set(['ORG', 'EQU', 'DB', 'DW', 'DS', 'MACRO', 'ENDM', 'REPT', 'IRP', 'ENDR', 'LOCAL',
+        'IF', 'IFDEF', 'IFNDEF', 'ELSE', 'ENDIF', 'INCLUDE', 'INCBIN']),
+    REGISTERS: new Set(['A', 'B', 'C', 'D', 'E', 'H', 'L', 'I', 'R', 'AF', "AF'", 'BC', 'DE', 'HL', 'SP', 'IX', 'IY',
+        'IXH', 'IXL', 'IYH', 'IYL']),
+    CONDITIONS: new Set(['NZ', 'Z', 'NC', 'C', 'PO', 'PE', 'P', 'M']),
+    GROUP_MS: 1000, // Typing within this gap is undone in one step
+
+    undoStack: [],
+    redoStack: [],
+    before: null, // Text and selection just before the current edit
+    lastEdit: 0,
+    lastType: '',
+    problems: [], // Diagnostics of the last assemble in this file: { line, column, severity, message }
+    pcLine: -1,
+    cache: new Map(), // Line text -> highlighted HTML
+    cacheLabels: '',
 
-        // ALU A, r
-        else if ((op & 0xC0) === 0x80) {
-            const ops = ["ADD", "ADC", "SUB", "SBC", "AND", "XOR", "OR", "CP"];
-            txt = `${ops[(op >> 3) & 7]} A, ${r8[op & 7]}`;
-        }
-        // ALU n
-        else if ((op & 0xC7) === 0xC6) {
-            const ops = ["ADD", "ADC", "SUB", "SBC", "AND", "XOR", "OR", "CP"];
-            txt = `${ops[(op >> 3) & 7]} A, ${this.hex(fetch(1))}`;
-            len = 2;
-        }
-
-        // INC/DEC r
-        else if ((op & 0xC7) === 0x04) txt = `INC ${r8[(op >> 3) & 7]}`;
-        else if ((op & 0xC7) === 0x05) txt = `DEC ${r8[(op >> 3) & 7]}`;
-
-        // PUSH/POP
-        else if ((op & 0xCF) === 0xC5) {
-            let r = ["BC", "DE", "HL", "AF"][(op >> 4) & 3];
-            if (prefix && r === 'HL') r = prefix;
-            txt = `PUSH ${r}`;
-        }
-        else if ((op & 0xCF) === 0xC1) {
-            let r = ["BC", "DE", "HL", "AF"][(op >> 4) & 3];
-            if (prefix && r === 'HL') r = prefix;
-            txt = `POP ${r}`;
-        }
-
-        // 16-bit
-        else if (op === 0x21) { txt = `LD HL, ${this.hex(fetch(1) | (fetch(2) << 8), 4)}`; len = 3; }
-
-        else if (op === 0x2F) txt = 'CPL';
-        else if (op === 0x3F) txt = 'CCF';
-        else if (op === 0x37) txt = 'SCF';
-        else if (op === 0x76) txt = 'HALT';
-        else if (op === 0xF3) txt = 'DI';
-        else if (op === 0xFB) txt = 'EI';
-        else if ((op & 0xC7) === 0xC7) txt = `RST ${this.hex(op & 0x38)}`;
-
-        // CB
-        else if (op === 0xCB) {
-            const sub = fetch(1);
-            len = 2;
-            const bit = (sub >> 3) & 7;
-            const r = r8[sub & 7];
-            if ((sub & 0xC0) === 0x40) txt = `BIT ${bit}, ${r}`;
-            else if ((sub & 0xC0) === 0x80) txt = `RES ${bit}, ${r}`;
-            else if ((sub & 0xC0) === 0xC0) txt = `SET ${bit}, ${r}`;
-            else {
-                const rot = ["RLC", "RRC", "RL", "RR", "SLA", "SRA", "SLL", "SRL"];
-                txt = `${rot[(sub >> 3) & 7]} ${r}`;
-            }
-        }
-
-        // ED
-        else if (op === 0xED) {
-            const sub = fetch(1);
-            len = 2;
-            if ((sub & 0xCF) === 0x42) txt = `SBC HL, ${r16[(sub >> 4) & 3]}`;
-            else if ((sub & 0xCF) === 0x4A) txt = `ADC HL, ${r16[(sub >> 4) & 3]}`;
-            else if (sub === 0x79) txt = 'OUT (C), A';
-            else if (sub === 0x78) txt = 'IN A, (C)';
-            else if (sub === 0x44) txt = 'NEG';
-            else if (sub === 0x46) txt = 'IM 0';
-            else if (sub === 0x56) txt = 'IM 1';
-            else if (sub === 0x5E) txt = 'IM 2';
-            else if (sub === 0x45) txt = 'RETN';
-            else if (sub === 0x4D) txt = 'RETI';
-            else if ((sub & 0xA7) === 0xA0) { // Block Ops
-                const blk = ["LDI", "CPI", "INI", "OUTI", "LDD", "CPD", "IND", "OUTD"];
-                const idx = ((sub >> 3) & 3) | ((sub & 3) << 2); // Map vaguely? No simpler:
-                // A0=LDI, A1=CPI, A2=INI, A3=OUTI
-                // A8=LDD, A9=CPD, AA=IND, AB=OUTD
-                // Just hex map
-                if (sub === 0xA0) txt = "LDI"; else if (sub === 0xB0) txt = "LDIR";
-                else if (sub === 0xA8) txt = "LDD"; else if (sub === 0xB8) txt = "LDDR";
-                else txt = 'ED ' + this.hex(sub);
-            }
-            else txt = 'ED ' + this.hex(sub);
-        }
+    init() {
+        const editor = document.getElementById('source-code');
+        this.view = document.getElementById('source-highlight');
+        this.symStyle = document.getElementById('source-symbol-style');
+        if (!editor || !this.view) return;
+
+        editor.addEventListener('beforeinput', (e) => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') this.undo(); else this.redo();
+                return;
+            }
+            this.before = this.snapshot();
+        });
+        editor.addEventListener('input', (e) => this.record(e.inputType || ''));
+        editor.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey)) return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey) { e.preventDefault(); this.undo(); }
+            else if (key === 'y' || (key === 'z' && e.shiftKey)) { e.preventDefault(); this.redo(); }
+        });
+        editor.addEventListener('scroll', () => {
+            this.view.scrollTop = editor.scrollTop;
+            this.view.scrollLeft = editor.scrollLeft;
+        });
+        // Caret moves re-mark the current line, brackets and symbol
+        ['keyup', 'mouseup', 'focus'].forEach(ev => editor.addEventListener(ev, () => this.render()));
+    },
 
-        const bytes = [];
-        for (let k = 0; k < len; k++) bytes.push(this.hex(fetch(k)));
-        return { txt, len, bytes: bytes.join(' ') };
+    snapshot() {
+        const editor = document.getElementById('source-code');
+        return { text: editor.value, start: editor.selectionStart, end: editor.selectionEnd };
     },
 
-    getLines(pc, mem, count = 5) {
-        const l = [];
-        let addr = pc;
-        for (let i = 0; i < count; i++) {
-            const d = this.decode(addr, mem);
-            l.push(`<div${i === 0 ? ' style="color:yellow"' : ''}>${this.hex(addr, 4)}: <span style="color:#aaa">${d.bytes.padEnd(8)}</span> ${d.txt}</div>`);
-            addr = (addr + d.len) & 0xFFFF;
+    // Push the pre-edit state unless this edit continues the previous run of typing
+    record(type) {
+        const now = Date.now();
+        const kind = type.startsWith('delete') ? 'delete' : type;
+        if (this.before && (now - this.lastEdit > this.GROUP_MS || kind !== this.lastType || type === 'insertLineBreak')) {
+            this.push(this.before);
         }
-        return l.join('');
+        this.lastEdit = now;
+        this.lastType = kind;
+        this.before = null;
+        this.redoStack = [];
+        this.problems = [];
     },
 
-};
+    push(state) {
+        const top = this.undoStack[this.undoStack.length - 1];
+        if (top && top.text === state.text) return;
+        this.undoStack.push(state);
+        if (this.undoStack.length > 500) this.undoStack.shift();
+    },
+
+    /**
+     * Replace the whole text (sample, file or saved state) as one undoable edit.
+     * @param {string} text - New source.
+     */
+    setValue(text) {
+        const editor = document.getElementById('source-code');
+        if (editor.value === text) return;
+        this.push(this.snapshot());
+        this.redoStack = [];
+        this.lastEdit = 0;
+        this.problems = [];
+        editor.value = text;
+        editor.setSelectionRange(0, 0);
+        editor.scrollTop = 0;
+    },
+
+    /**
+     * Show another project file. Its undo history, caret and scroll come back with it.
+     * @param {string} text - File contents.
+     * @param {object} [saved] - What an earlier switchTo() returned for this file.
+     * @returns {object} The same for the file being replaced.
+     */
+    switchTo(text, saved) {
+        const editor = document.getElementById('source-code');
+        const old = { undo: this.undoStack, redo: this.redoStack, start: editor.selectionStart, end: editor.selectionEnd, scroll: editor.scrollTop };
+        const s = saved || { undo: [], redo: [], start: 0, end: 0, scroll: 0 };
+        this.undoStack = s.undo;
+        this.redoStack = s.redo;
+        this.before = null;
+        this.lastEdit = 0;
+        this.problems = [];
+        editor.value = text;
+        editor.setSelectionRange(s.start, s.end);
+        editor.scrollTop = s.scroll;
+        return old;
+    },
+
+    undo() {
+        if (!this.undoStack.length) return;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+    },
+
+    redo() {
+        if (!this.redoStack.length) return;
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+    },
+
+    restore(state) {
+        const editor = document.getElementById('source-code');
+        editor.value = state.text;
+        editor.setSelectionRange(state.start, state.end);
+        editor.focus();
+        this.lastEdit = 0;
+        this.problems = [];
+        Project.update();
+        Main.updateLineNumbers();
+    },
 
+    setProblems(list) {
+        this.problems = list;
+        this.render();
+    },
+
+    /**
+     * Redraw the highlighted copy of the source.
+     * @param {number} [pcLine] - Source line of the PC (kept from the last call if omitted).
+     */
+    render(pcLine) {
+        const editor = document.getElementById('source-code');
+        if (!this.view) return;
+        if (pcLine !== undefined) this.pcLine = pcLine;
+        const text = editor.value;
+        const lines = text.split('\n');
+        const head = text.slice(0, editor.selectionStart);
+        const caretLine = head.split('\n').length;
+        const caretCol = head.length - head.lastIndexOf('\n') - 1;
+
+        // Labels and macros defined anywhere in the text, so references are coloured before assembling
+        const names = { labels: new Set(), macros: new Set() };
+        lines.forEach(l => {
+            const mac = /^\s*([A-Za-z_.][\w.]*):?\s+MACRO\b/i.exec(l) || /^\s*MACRO\s+([A-Za-z_.][\w.]*)/i.exec(l);
+            const m = /^\s*([A-Za-z_.][\w.]*):/.exec(l) || /^([A-Za-z_.][\w.]*)\s+EQU\b/i.exec(l);
+            if (mac) names.macros.add(mac[1].toUpperCase());
+            else if (m) names.labels.add(m[1].toUpperCase());
+        });
+        const key = [...names.labels].join(',') + '/' + [...names.macros].join(',');
+        if (key !== this.cacheLabels || this.cache.size > 5000) {
+            this.cache.clear();
+            this.cacheLabels = key;
+        }
+
+        let html = '';
+        lines.forEach((line, i) => {
+            const n = i + 1;
+            let body;
+            if (n === caretLine) body = this.highlight(line, names, caretCol);
+            else {
+                body = this.cache.get(line);
+                if (body === undefined) this.cache.set(line, body = this.highlight(line, names, -1));
+            }
+            let cls = 'ed-line';
+            if (n === caretLine) cls += ' current';
+            if (n === this.pcLine) cls += ' pc';
+            const here = this.problems.filter(p => p.line === n);
+            if (here.length) {
+                cls += here.some(p => p.severity === 'error') ? ' error' : ' warning';
+                body += `<span class="ed-error-msg">${Main.escapeHtml(here.map(p => p.message).join('; '))}</span>`;
+            }
+            html += `<div class="${cls}">${body || ' '}</div>`;
+        });
+        this.view.innerHTML = html;
+        this.view.scrollTop = editor.scrollTop;
+        this.view.scrollLeft = editor.scrollLeft;
+
+        // Mark every use of the symbol under the caret
+        if (this.symStyle) {
+            const cur = lines[caretLine - 1];
+            const word = /[\w.]*$/.exec(cur.slice(0, caretCol))[0] + /^[\w.]*/.exec(cur.slice(caretCol))[0];
+            const up = word.toUpperCase();
+            const sym = /^[A-Za-z_.][\w.]*$/.test(word) && !this.MNEMONICS.has(up) && !this.REGISTERS.has(up) ? up : '';
+            this.symStyle.textContent = sym ? `.code-highlight [data-sym="${sym}"] { background: #3a3d41; }` : '';
+        }
+    },
 
+    /**
+     * Highlight one line of source.
+     * @param {string} line - Source text.
+     * @param {object} names - { labels, macros }: Sets of upper-case names defined in the file.
+     * @param {number} caretCol - Caret column on this line, or -1, for bracket matching.
+     * @returns {string} HTML.
+     */
+    highlight(line, names, caretCol) {
+        const esc = (s) => Main.escapeHtml(s);
+        // Comment starts at the first ';' outside quotes
+        let end = line.length;
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quote) { if (ch === quote) quote = null; }
+            else if (ch === '\'' || ch === '"') {
+                // AF' is a register, not a string
+                if (!(ch === '\'' && /AF$/i.test(line.slice(0, i)))) quote = ch;
+            } else if (ch === ';') { end = i; break; }
+        }
+        const code = line.slice(0, end);
+
+        // Pair up brackets; unmatched ones are flagged, the pair at the caret is marked
+        const pair = {};
+        const open = [];
+        const re = /AF'|'[^']*'?|"[^"]*"?|[()]/gi;
+        let m;
+        while ((m = re.exec(code))) {
+            if (m[0] === '(') open.push(m.index);
+            else if (m[0] === ')') {
+                if (open.length) { const o = open.pop(); pair[o] = m.index; pair[m.index] = o; }
+                else pair[m.index] = -1;
+            }
+        }
+        open.forEach(o => pair[o] = -1);
+        let match = -1;
+        [caretCol, caretCol - 1].forEach(c => { if (match < 0 && pair[c] >= 0 && /[()]/.test(code[c])) match = c; });
+
+        const tokens = /(AF')|('[^']*'?|"[^"]*"?)|([A-Za-z_.][\w.]*:?)|(0x[0-9A-F]+|\$[0-9A-F]*|%[01]+|\d[0-9A-F]*H?\b|\d+)|([()])|(\s+|.)/gi;
+        let out = '';
+        let first = true; // Next word is the mnemonic/directive position
+        let mnemonic = '';
+        let operand = 0;
+        while ((m = tokens.exec(code))) {
+            const t = m[0];
+            const up = t.toUpperCase();
+            const at = m.index;
+            let cls = '';
+            let sym = '';
+            if (m[1]) cls = 'tok-reg';
+            else if (m[2]) cls = 'tok-str';
+            else if (m[3]) {
+                if (t.endsWith(':')) { cls = 'tok-label'; sym = up.slice(0, -1); }
+                else if ((first || at === 0) && names.macros.has(up)) { cls = 'tok-macro'; sym = up; first = false; }
+                else if (at === 0 && !this.MNEMONICS.has(up) && !this.DIRECTIVES.has(up)) { cls = 'tok-label'; sym = up; }
+                else if (first && this.MNEMONICS.has(up)) { cls = 'tok-op'; mnemonic = up; first = false; }
+                else if (this.DIRECTIVES.has(up)) { cls = 'tok-dir'; first = false; }
+                else if (operand === 0 && ['JP', 'JR', 'CALL', 'RET'].includes(mnemonic) && this.CONDITIONS.has(up)) cls = 'tok-cond';
+                else if (this.REGISTERS.has(up)) cls = 'tok-reg';
+                else { cls = names.labels.has(up) ? 'tok-ref' : 'tok-sym'; sym = up; }
+            } else if (m[4]) cls = 'tok-num';
+            else if (m[5]) cls = pair[at] === -1 ? 'tok-bad' : (at === match || at === pair[match]) ? 'tok-paren tok-match' : 'tok-paren';
+            else if (t === ',') operand++;
+            else if (t === ':' && /\s/.test(code[at - 1] || '')) { first = true; mnemonic = ''; operand = 0; } // A : B separator
+
+            const attr = sym ? ` data-sym="${sym}"` : '';
+            out += cls ? `<span class="${cls}"${attr}>${esc(t)}</span>` : esc(t);
+        }
+        if (end < line.length) out += `<span class="tok-comment">${esc(line.slice(end))}</span>`;
+        return out;
+    }
+};
 
 // Main Controller
 const Main = {
     timer: null,
+    cursorBp: null, // Temporary breakpoint placed by Run to Cursor
     lastAssembledSource: null,
-    breakpoints: new Set(),
+    problems: [], // ASM.diagnostics of the last assemble
+    assembledFiles: {}, // Project sources as they were then
+    breakpoints: new BreakpointManager(() => ASM.labels),
+    watchpoints: new WatchpointManager(CPU, MEM, IO),
 
     init() {
         try {
@@ -2358,19 +4773,24 @@ const Main = {
                 });
             }
 
+            Editor.init(); // Before bindEvents so its input handler sees the edit first
             this.bindEvents();
 
             // Auto-load
-            const saved = localStorage.getItem('z80_source');
-            if (saved) document.getElementById('source-code').value = saved;
+            Project.init();
+            document.getElementById('asm-defines').value = localStorage.getItem('z80_defines') || '';
 
+            MemoryEditor.init();
+            DisasmView.init();
             this.updateLineNumbers();
             this.updateDebug();
+            this.renderBreakpoints();
+            this.renderProblems();
 
             // Init Speed Label
             const spdIdx = parseInt(document.getElementById('clock-speed').value);
             const spdVal = this.SPEED_LEVELS[spdIdx];
-            document.getElementById('speed-val').innerText = (spdVal > 10000000) ? 'MAX' : spdVal;
+            document.getElementById('speed-val').innerText = (spdVal > 10000000) ? 'MAX' : this.formatHz(spdVal);
 
             // Init Sample Selector
             if (typeof SAMPLES !== 'undefined') {
@@ -2393,9 +4813,10 @@ const Main = {
                             }
                         }
                         this.stop();
-                        document.getElementById('source-code').value = code;
+                        Project.open(Project.main);
+                        Editor.setValue(code);
+                        Project.update();
                         this.updateLineNumbers();
-                        localStorage.setItem('z80_source', code);
                         sel.value = ""; // Reset selector
                     };
                 }
@@ -2453,9 +4874,9 @@ const Main = {
             const reader = new FileReader();
             reader.onload = (e) => {
                 const src = e.target.result;
-                document.getElementById('source-code').value = src;
+                Editor.setValue(src);
+                Project.update();
                 this.updateLineNumbers();
-                localStorage.setItem('z80_source', src);
                 // Reset file input so same file can be selected again
                 fileInput.value = '';
             };
@@ -2467,11 +4888,50 @@ const Main = {
             this.saveFile();
         };
         document.getElementById('btn-listing').onclick = () => this.downloadListing();
+
+        // Save / Load State
+        const stateInput = document.getElementById('state-input');
+        document.getElementById('btn-save-state').onclick = () => {
+            this.stop();
+            this.downloadState();
+        };
+        document.getElementById('btn-load-state').onclick = () => {
+            this.stop();
+            stateInput.click();
+        };
+        stateInput.onchange = (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                try {
+                    this.loadState(e.target.result);
+                    document.getElementById('status-bar').innerText = `State Loaded: ${file.name}`;
+                } catch (err) {
+                    console.error(err);
+                    document.getElementById('status-bar').innerText = `State Load Error: ${err.message}`;
+                    this.updateStatus('ERROR');
+                }
+                stateInput.value = '';
+            };
+            reader.readAsText(file);
+        };
         document.getElementById('btn-assemble').onclick = () => {
             this.stop();
             this.assemble();
         };
         document.getElementById('btn-step').onclick = () => this.step();
+        document.getElementById('btn-step-over').onclick = () => this.stepOver();
+        document.getElementById('btn-step-out').onclick = () => this.stepOut();
+        document.getElementById('btn-run-cursor').onclick = () => this.runToCursor();
+        document.getElementById('btn-step-back').onclick = () => this.stepBack();
+        document.getElementById('btn-rev-continue').onclick = () => this.reverseContinue();
+        const depthInput = document.getElementById('history-depth');
+        depthInput.onchange = () => {
+            const depth = parseInt(depthInput.value);
+            HIST.setDepth(isNaN(depth) ? 0 : depth);
+            depthInput.value = HIST.depth;
+        };
         document.getElementById('btn-run').onclick = () => this.run();
         document.getElementById('btn-stop').onclick = () => this.stop();
         document.getElementById('btn-reset').onclick = () => this.reset();
@@ -2480,35 +4940,244 @@ const Main = {
         speedRange.oninput = () => {
             const idx = parseInt(speedRange.value);
             const val = this.SPEED_LEVELS[idx];
-            document.getElementById('speed-val').innerText = (val > 10000000) ? 'MAX' : val;
+            document.getElementById('speed-val').innerText = (val > 10000000) ? 'MAX' : this.formatHz(val);
+        };
+
+        const editor = document.getElementById('source-code');
+        editor.addEventListener('input', () => {
+            this.updateLineNumbers();
+            Project.update();
+        });
+        editor.addEventListener('scroll', () => document.getElementById('line-numbers').scrollTop = editor.scrollTop);
+
+        document.getElementById('asm-defines').addEventListener('change', (e) => {
+            localStorage.setItem('z80_defines', e.target.value);
+            this.lastAssembledSource = null; // Same text, different build
+        });
+
+        document.getElementById('line-numbers').onclick = (e) => {
+            if (e.target.tagName === 'DIV') {
+                const line = parseInt(e.target.innerText);
+                if (!isNaN(line)) this.toggleBreakpoint(line);
+            }
+        };
+
+        document.getElementById('chk-hex').addEventListener('change', () => this.updateDebug());
+
+        // Click a register to edit it, or a flag letter to toggle it (while paused)
+        Object.keys(this.REG_FIELDS).forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.classList.add('editable');
+            el.onclick = () => this.editRegister(el);
+        });
+        document.getElementById('reg-flags').onclick = (e) => {
+            const bit = e.target.dataset ? e.target.dataset.bit : undefined;
+            if (bit !== undefined) this.toggleFlag(parseInt(bit));
         };
+    },
+
+    // Debug-pane element id -> register name accepted by setRegister()
+    REG_FIELDS: {
+        'reg-af': 'AF', 'reg-bc': 'BC', 'reg-de': 'DE', 'reg-hl': 'HL',
+        'reg-a': 'A', 'reg-f': 'F', 'reg-b': 'B', 'reg-c': 'C', 'reg-d': 'D', 'reg-e': 'E', 'reg-h': 'H', 'reg-l': 'L',
+        'reg-pc': 'PC', 'reg-sp': 'SP', 'reg-ix': 'IX', 'reg-iy': 'IY', 'reg-i': 'I', 'reg-r': 'R',
+        'reg-af-prime': "AF'", 'reg-bc-prime': "BC'", 'reg-de-prime': "DE'", 'reg-hl-prime': "HL'",
+        'reg-iff1': 'IFF1', 'reg-iff2': 'IFF2', 'reg-im': 'IM'
+    },
+
+    /**
+     * Write a register, shadow pair or interrupt setting.
+     * @param {string} name - A..L, I, R, AF..HL, PC, SP, IX, IY, AF'..HL', IFF1, IFF2 or IM.
+     * @param {number} value - New value, range-checked against the register width.
+     */
+    setRegister(name, value) {
+        const r = CPU.reg;
+        const max = /^(IFF1|IFF2)$/.test(name) ? 1 : name === 'IM' ? 2 : /^(AF|BC|DE|HL|PC|SP|IX|IY)'?$/.test(name) ? 0xFFFF : 0xFF;
+        if (!Number.isInteger(value) || value < 0 || value > max) throw new Error(`${name} value out of range (0-${max})`);
+        const pair = /^(AF|BC|DE|HL)('?)$/.exec(name);
+        if (pair) {
+            const set = pair[2] ? CPU.reg_prime : r;
+            set[pair[1][0]] = value >> 8;
+            set[pair[1][1]] = value & 0xFF;
+        } else if (name === 'IFF1') CPU.iff1 = value;
+        else if (name === 'IFF2') CPU.iff2 = value;
+        else if (name === 'IM') CPU.im = value;
+        else if (name in r) {
+            r[name] = value;
+            if (name === 'PC') CPU.halted = false; // Resume from the new address rather than the HALT
+        } else throw new Error(`Unknown register: ${name}`);
+    },
 
-        const editor = document.getElementById('source-code');
-        editor.addEventListener('input', () => {
-            this.updateLineNumbers();
-            localStorage.setItem('z80_source', editor.value);
-        });
-        editor.addEventListener('scroll', () => document.getElementById('line-numbers').scrollTop = editor.scrollTop);
+    // In hex view plain digits are hex; anything else is a breakpoint-style expression (0x10, 10h, %101, labels)
+    parseRegisterValue(text) {
+        const t = text.trim();
+        if (document.getElementById('chk-hex').checked && /^(0x)?[0-9A-F]+$/i.test(t)) return parseInt(t.replace(/^0x/i, ''), 16);
+        return this.breakpoints.evaluate(t, CPU);
+    },
 
-        document.getElementById('line-numbers').onclick = (e) => {
-            if (e.target.tagName === 'DIV') {
-                const line = parseInt(e.target.innerText);
-                if (!isNaN(line)) this.toggleBreakpoint(line);
+    editRegister(span) {
+        if (this.timer || span.querySelector('input')) return;
+        const name = this.REG_FIELDS[span.id];
+        const input = document.createElement('input');
+        input.className = 'reg-edit';
+        input.value = span.innerText.trim();
+        span.innerText = '';
+        span.appendChild(input);
+        input.focus();
+        input.select();
+
+        let done = false;
+        const finish = (apply) => {
+            if (done) return;
+            done = true;
+            if (apply && input.value.trim() !== '') {
+                try {
+                    this.setRegister(name, this.parseRegisterValue(input.value));
+                } catch (e) {
+                    document.getElementById('status-bar').innerText = `Register Error: ${e.message}`;
+                }
             }
+            this.updateDebug();
+            this.updateLineNumbers(true);
+        };
+        input.onkeydown = (e) => {
+            if (e.key === 'Enter') finish(true);
+            else if (e.key === 'Escape') finish(false);
         };
+        input.onblur = () => finish(true);
+    },
 
-        document.getElementById('chk-hex').addEventListener('change', () => this.updateDebug());
+    toggleFlag(bit) {
+        if (this.timer) return;
+        CPU.reg.F ^= (1 << bit);
+        this.updateDebug();
     },
 
     toggleBreakpoint(line) {
-        if (this.breakpoints.has(line)) {
-            this.breakpoints.delete(line);
-        } else {
-            this.breakpoints.add(line);
+        this.breakpoints.toggleLine(line, Project.active);
+        this.updateLineNumbers();
+        this.renderBreakpoints();
+    },
+
+    addBreakpoint() {
+        const addr = document.getElementById('bp-addr').value.trim();
+        const condition = document.getElementById('bp-cond').value.trim();
+        const hitCount = parseInt(document.getElementById('bp-hits').value) || 1;
+        if (!addr && !condition) {
+            document.getElementById('status-bar').innerText = 'Breakpoint needs an address or a condition';
+            return;
+        }
+        try {
+            this.breakpoints.add({ addr: addr ? this.breakpoints.evaluate(addr, CPU) : null, condition, hitCount });
+            document.getElementById('bp-addr').value = '';
+            document.getElementById('bp-cond').value = '';
+        } catch (e) {
+            document.getElementById('status-bar').innerText = `Breakpoint Error: ${e.message}`;
         }
+        this.renderBreakpoints();
+    },
+
+    removeBreakpoint(id) {
+        this.breakpoints.remove(id);
+        this.renderBreakpoints();
         this.updateLineNumbers();
     },
 
+    setBreakpointEnabled(id, enabled) {
+        this.breakpoints.setEnabled(id, enabled);
+        this.renderBreakpoints();
+        this.updateLineNumbers();
+    },
+
+    renderBreakpoints() {
+        DisasmView.render(); // Breakpoint markers
+        const el = document.getElementById('bp-list');
+        if (!el) return;
+        el.innerHTML = this.breakpoints.list.map(bp =>
+            `<div class="bp-row${bp.enabled ? '' : ' disabled'}">` +
+            `<input type="checkbox" ${bp.enabled ? 'checked' : ''} onchange="Main.setBreakpointEnabled(${bp.id}, this.checked)"> ` +
+            `#${bp.id} ${this.escapeHtml(this.breakpoints.describe(bp))} <span class="bp-hits">hits: ${bp.hits}</span> ` +
+            `<span class="bp-del" title="Remove" onclick="Main.removeBreakpoint(${bp.id})">&#x2715;</span></div>`
+        ).join('') || '<div style="color:#666">No breakpoints (click a line number or add one above)</div>';
+
+        const wl = document.getElementById('wp-list');
+        if (!wl) return;
+        wl.innerHTML = this.watchpoints.list.map(wp =>
+            `<div class="bp-row${wp.enabled ? '' : ' disabled'}">` +
+            `<input type="checkbox" ${wp.enabled ? 'checked' : ''} onchange="Main.setWatchpointEnabled(${wp.id}, this.checked)"> ` +
+            `#${wp.id} ${this.escapeHtml(this.watchpoints.describe(wp))} <span class="bp-hits">hits: ${wp.hits}</span> ` +
+            `<span class="bp-del" title="Remove" onclick="Main.removeWatchpoint(${wp.id})">&#x2715;</span></div>`
+        ).join('') || '<div style="color:#666">No watchpoints</div>';
+    },
+
+    escapeHtml(s) {
+        return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    },
+
+    breakpointMessage(bp) {
+        if (bp.line !== null && bp.addr === null && !bp.condition) return `Breakpoint at ${this.describeLine(CPU.reg.PC)}`;
+        return `Breakpoint #${bp.id} at ${DISASM.hex(CPU.reg.PC, 4)}: ${this.breakpoints.describe(bp)} (hits: ${bp.hits})`;
+    },
+
+    addWatchpoint() {
+        const [type, access] = document.getElementById('wp-type').value.split(':');
+        const from = document.getElementById('wp-from').value.trim();
+        const to = document.getElementById('wp-to').value.trim();
+        const value = document.getElementById('wp-value').value.trim();
+        if (!from) {
+            document.getElementById('status-bar').innerText = 'Watchpoint needs an address or port';
+            return;
+        }
+        try {
+            const ev = (expr) => this.breakpoints.evaluate(expr, CPU);
+            const spec = { type, access, value: value ? ev(value) : null };
+            if (type === 'io') spec.port = ev(from);
+            else { spec.start = ev(from); spec.end = to ? ev(to) : null; }
+            this.watchpoints.add(spec);
+            document.getElementById('wp-from').value = '';
+            document.getElementById('wp-to').value = '';
+            document.getElementById('wp-value').value = '';
+        } catch (e) {
+            document.getElementById('status-bar').innerText = `Watchpoint Error: ${e.message}`;
+        }
+        this.renderBreakpoints();
+    },
+
+    removeWatchpoint(id) {
+        this.watchpoints.remove(id);
+        this.renderBreakpoints();
+    },
+
+    setWatchpointEnabled(id, enabled) {
+        this.watchpoints.setEnabled(id, enabled);
+        this.renderBreakpoints();
+    },
+
+    // Execute one instruction through the trace, profiler and history recorders, with watchpoints armed.
+    // Returns the T-states it took.
+    stepInstruction() {
+        return this.watchpoints.watch(() => TRACE.step(() => PROF.step(() => HIST.step())));
+    },
+
+    // Report and clear a watchpoint tripped by the last instruction
+    checkWatchpoint() {
+        const hit = this.watchpoints.hit;
+        if (!hit) return false;
+        this.watchpoints.hit = null;
+        document.getElementById('status-bar').innerText = this.watchpoints.message(hit);
+        return true;
+    },
+
+    // Stop a run after a watchpoint, keeping its status message
+    pauseAt() {
+        const msg = document.getElementById('status-bar').innerText;
+        this.stop();
+        document.getElementById('status-bar').innerText = msg;
+        this.updateStatus('PAUSED');
+        this.renderBreakpoints();
+    },
+
     loadVerification() {
         document.getElementById('source-code').value = VERIFICATION_SOURCE;
         this.updateLineNumbers();
@@ -2531,7 +5200,7 @@ const Main = {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'source.asm';
+        a.download = Project.active;
         a.click();
         URL.revokeObjectURL(url);
     },
@@ -2550,20 +5219,44 @@ const Main = {
         URL.revokeObjectURL(url);
     },
 
+    downloadState() {
+        const blob = new Blob([JSON.stringify(this.saveState())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'machine_state.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
     updateLineNumbers(autoScroll = false) {
         const editor = document.getElementById('source-code');
         const gutter = document.getElementById('line-numbers');
+        // Follow the PC into the file it is in
+        const pcFile = ASM.fileMap[CPU.reg.PC];
+        if (autoScroll && pcFile !== undefined && pcFile !== Project.active) Project.open(pcFile);
         const lines = editor.value.split('\n').length;
-        const srcLine = ASM.sourceMap[CPU.reg.PC] || -1;
+        const srcLine = pcFile === Project.active ? ASM.sourceMap[CPU.reg.PC] : -1;
+        const coverage = CPU.coverage ? CPU.coverage.report(ASM, MEM, Project.active).lines : {};
+        const heat = PROF.enabled ? this.lineCycles() : [];
+        const peak = heat.reduce((m, v) => Math.max(m, v || 0), 0);
+        const marks = {}; // Line -> 'error' or 'warning'
+        Editor.problems.forEach(p => { if (marks[p.line] !== 'error') marks[p.line] = p.severity; });
 
         let html = '';
         for (let i = 1; i < lines; i++) {
             let cls = '';
             if (i === srcLine) cls += ' highlight-line';
-            if (this.breakpoints.has(i)) cls += ' breakpoint';
-            html += `<div class="${cls.trim()}">${i}</div>`;
+            if (coverage[i]) cls += ` cov-${coverage[i]}`;
+            const bp = this.breakpoints.findLine(i, Project.active);
+            if (bp) cls += bp.enabled ? ' breakpoint' : ' breakpoint disabled';
+            const bg = Profiler.heat(heat[i], peak);
+            if (marks[i]) cls += ` ${marks[i]}`;
+            const style = bg ? ` style="background: ${bg}" title="${heat[i]} T-states"` : '';
+            html += `<div class="${cls.trim()}"${style}>${i}</div>`;
         }
         gutter.innerHTML = html;
+        Editor.render(srcLine);
 
         if (autoScroll && srcLine > 0 && gutter.children[srcLine - 1]) {
             const el = gutter.children[srcLine - 1];
@@ -2574,10 +5267,44 @@ const Main = {
         }
     },
 
+    // Profiled T-states per source line of the file in the editor
+    lineCycles() {
+        const lines = [];
+        ASM.sourceMap.forEach((line, addr) => {
+            if (PROF.cycles[addr] && ASM.fileMap[addr] === Project.active) lines[line] = (lines[line] || 0) + PROF.cycles[addr];
+        });
+        return lines;
+    },
+
+    // "DEBUG, LEDS=2, BASE=0x8000" -> { DEBUG: 1, LEDS: 2, BASE: 32768 }
+    parseDefines(text) {
+        const defines = {};
+        text.split(/[,;\s]+/).filter(s => s).forEach(item => {
+            const [name, expr] = item.split('=');
+            defines[name] = expr === undefined ? 1 : ASM.parseNumber(expr);
+        });
+        return defines;
+    },
+
+    // "line 12", or "lcd.asm line 12" outside the main file; '' for addresses without source
+    describeLine(addr) {
+        const line = ASM.sourceMap[addr];
+        if (line === undefined) return '';
+        const file = ASM.fileMap[addr];
+        return file && file !== Project.main ? `${file} line ${line}` : `line ${line}`;
+    },
+
+    // Assemble the project's main file with its includes, assets and the defines field
+    assembleProject() {
+        ASM.currentLine = 0; // A bad defines field has no source line
+        return ASM.assemble(Project.files[Project.main], this.parseDefines(document.getElementById('asm-defines').value),
+            Project.sources(), Project.main);
+    },
+
     assemble() {
-        const src = document.getElementById('source-code').value;
+        const src = Project.key();
         try {
-            const bin = ASM.assemble(src);
+            const bin = this.assembleProject();
             MEM.reset();
             MEM.load(0, bin);
 
@@ -2587,27 +5314,76 @@ const Main = {
             }
 
             CPU.reset();
+            HIST.clear();
+            COV.clear();
+            PROF.clear();
+            MemoryEditor.mark();
+            this.breakpoints.resetHits();
+            this.watchpoints.resetHits();
+            this.renderBreakpoints();
             this.lastAssembledSource = src;
+            this.showProblems();
             this.updateDebug();
 
-            const msg = `Assemble Success: ${bin.length} bytes`;
+            const warnings = this.problems.length;
+            const msg = `Assemble Success: ${bin.length} bytes${warnings ? `, ${warnings} warning${warnings > 1 ? 's' : ''}` : ''}`;
             document.getElementById('status-bar').innerText = msg;
             this.updateStatus('READY');
         } catch (e) {
             console.error(e);
-            const msg = `Assemble Error: ${e.message}`;
+            const file = ASM.currentFile && ASM.currentFile !== Project.main ? `${ASM.currentFile} ` : '';
+            const more = ASM.diagnostics.filter(d => d.severity === 'error').length - 1;
+            const msg = `Assemble Error: ${e.message}${ASM.currentLine ? ` (${file}line ${ASM.currentLine})` : ''}` +
+                (more > 0 ? ` and ${more} more error${more > 1 ? 's' : ''}` : '');
+            this.showProblems();
+            Project.open(ASM.currentFile);
+            this.updateLineNumbers();
             document.getElementById('status-bar').innerText = msg;
             this.updateStatus('ERROR');
-            alert(msg); // Force visibility
         }
     },
 
+    // Keep the last assemble's diagnostics for the editor markers and the problems panel
+    showProblems() {
+        this.problems = ASM.diagnostics;
+        this.assembledFiles = Object.assign({}, Project.files);
+        Editor.setProblems(this.problemsIn(Project.active));
+        this.renderProblems();
+    },
+
+    // Diagnostics in one file, unless it has been edited since it was assembled
+    problemsIn(file) {
+        if (Project.files[file] !== this.assembledFiles[file]) return [];
+        return this.problems.filter(d => d.file === file);
+    },
+
+    renderProblems() {
+        const el = document.getElementById('problems-view');
+        if (!el) return;
+        const errors = this.problems.filter(d => d.severity === 'error').length;
+        const count = document.getElementById('problem-count');
+        if (count) count.innerText = this.problems.length ? `${errors} errors, ${this.problems.length - errors} warnings` : '';
+        el.innerHTML = this.problems.map((d, i) =>
+            `<div class="problem-row ${d.severity}" onclick="Main.gotoProblem(${i})">` +
+            `${d.severity === 'error' ? '&#x2716;' : '&#x26A0;'} ${this.escapeHtml(`${d.file || Project.main}:${d.line}:${d.column}`)} ` +
+            `${this.escapeHtml(d.message)}</div>`
+        ).join('') || '<div style="color:#666">No problems</div>';
+    },
+
+    gotoProblem(i) {
+        const d = this.problems[i];
+        if (!d) return;
+        Project.open(d.file || Project.main);
+        this.gotoLine(d.line, d.column);
+    },
+
     step() {
-        const src = document.getElementById('source-code').value;
-        if (src !== this.lastAssembledSource) this.assemble();
+        if (Project.key() !== this.lastAssembledSource) this.assemble();
 
         try {
-            CPU.step();
+            MemoryEditor.mark();
+            this.stepInstruction();
+            this.checkWatchpoint();
             this.updateDebug();
             this.updateLineNumbers(true); // Update highlight & Scroll
         } catch (e) {
@@ -2618,33 +5394,127 @@ const Main = {
         this.updateStatus('STEPPED');
     },
 
-    SPEED_LEVELS: [10, 30, 100, 300, 1000, 3000, 10000, 30000, 100000, 300000, 1000000, 3000000, 10000000, 99999999], // Last is Max
+    stepBack() {
+        this.stop();
+        MemoryEditor.mark();
+        if (!HIST.back()) {
+            document.getElementById('status-bar').innerText = 'No execution history to step back';
+            return;
+        }
+        this.updateDebug();
+        this.updateLineNumbers(true);
+        this.updateStatus('STEPPED');
+    },
 
-    run() {
-        const src = document.getElementById('source-code').value;
-        if (src !== this.lastAssembledSource) this.assemble();
+    // Rewind until the previous breakpoint line (or the oldest recorded instruction)
+    reverseContinue() {
+        this.stop();
+        let steps = 0;
+        MemoryEditor.mark();
+        while (HIST.back()) {
+            steps++;
+            if (this.breakpoints.matches(CPU, ASM.sourceMap[CPU.reg.PC], ASM.fileMap[CPU.reg.PC])) {
+                const line = this.describeLine(CPU.reg.PC);
+                document.getElementById('status-bar').innerText =
+                    `Breakpoint at ${DISASM.hex(CPU.reg.PC, 4)}${line ? ` (${line})` : ''} (${steps} instructions back)`;
+                break;
+            }
+        }
+        if (HIST.count === 0 && !this.breakpoints.matches(CPU, ASM.sourceMap[CPU.reg.PC], ASM.fileMap[CPU.reg.PC])) {
+            document.getElementById('status-bar').innerText = `Reached start of history (${steps} instructions back)`;
+        }
+        this.updateDebug();
+        this.updateLineNumbers(true);
+        this.updateStatus('PAUSED');
+    },
+
+    // Instructions that Step Over runs to completion instead of entering
+    STEP_OVER_RE: /^(CALL|RST|LDIR|LDDR|CPIR|CPDR|INIR|INDR|OTIR|OTDR)\b/,
+
+    // Run until the instruction after the CALL/RST/repeated block op is reached with the same SP
+    stepOver() {
+        if (this.timer) return;
+        if (Project.key() !== this.lastAssembledSource) this.assemble();
+
+        const d = DISASM.decode(CPU.reg.PC, MEM);
+        if (CPU.isStopped() || !this.STEP_OVER_RE.test(d.txt)) {
+            this.step();
+            return;
+        }
+        const ret = (CPU.reg.PC + d.len) & 0xFFFF;
+        const sp = CPU.reg.SP;
+        this.run(() => CPU.reg.PC === ret && CPU.reg.SP === sp);
+    },
+
+    // Run until a RET/RETI/RETN pops the current frame
+    stepOut() {
+        if (this.timer) return;
+        if (Project.key() !== this.lastAssembledSource) this.assemble();
+
+        const sp = CPU.reg.SP;
+        // Seeded from PC: when paused on a breakpoint, run() executes this instruction before calling until
+        let wasRet = DISASM.decode(CPU.reg.PC, MEM).txt.startsWith('RET');
+        this.run(() => {
+            if (wasRet && CPU.reg.SP > sp) return true;
+            wasRet = DISASM.decode(CPU.reg.PC, MEM).txt.startsWith('RET');
+            return false;
+        });
+    },
+
+    // Run until the editor line under the caret, via a temporary breakpoint
+    runToCursor() {
+        if (this.timer) return;
+        if (Project.key() !== this.lastAssembledSource) this.assemble();
+
+        const editor = document.getElementById('source-code');
+        const line = editor.value.substring(0, editor.selectionStart).split('\n').length;
+        if (!ASM.sourceMap.some((l, addr) => l === line && ASM.fileMap[addr] === Project.active)) {
+            document.getElementById('status-bar').innerText = `Line ${line} has no code to run to`;
+            return;
+        }
+        this.cursorBp = this.breakpoints.add({ line, file: Project.active, temporary: true });
+        this.renderBreakpoints();
+        this.run();
+    },
+
+    SPEED_LEVELS: [10, 30, 100, 300, 1000, 3000, 10000, 30000, 100000, 300000, 1000000, 2000000, 4000000, 8000000, 99999999], // Clock in Hz (T-states/sec). Last is Max
+
+    formatHz(hz) {
+        if (hz >= 1000000) return (hz / 1000000).toFixed(hz % 1000000 ? 2 : 0) + ' MHz';
+        if (hz >= 1000) return (hz / 1000).toFixed(hz % 1000 ? 1 : 0) + ' kHz';
+        return hz + ' Hz';
+    },
+
+    /**
+     * Run at the selected clock speed until stopped, halted or a breakpoint fires.
+     * @param {Function} until - Optional predicate checked before each instruction; the run pauses when it returns true.
+     */
+    run(until = null) {
+        if (Project.key() !== this.lastAssembledSource) this.assemble();
 
         // Debug: Dump Key Map
 
 
         if (this.timer) return;
-        document.getElementById('btn-step').disabled = true;
+        ['btn-step', 'btn-step-over', 'btn-step-out'].forEach(id => document.getElementById(id).disabled = true);
         this.updateStatus('RUNNING');
+        MemoryEditor.mark();
 
         let steps = 0;
+        let perfCycles = CPU.cycles;
         this.perfTimer = setInterval(() => {
-            document.getElementById('perf-hz').innerText = steps;
-            steps = 0;
+            document.getElementById('perf-hz').innerText = this.formatHz(CPU.cycles - perfCycles);
+            perfCycles = CPU.cycles;
         }, 1000);
 
         // If currently on a breakpoint, step once to move off it
-        const currentLine = ASM.sourceMap[CPU.reg.PC];
-        if (this.breakpoints.has(currentLine)) {
+        if (this.breakpoints.matches(CPU, ASM.sourceMap[CPU.reg.PC], ASM.fileMap[CPU.reg.PC], false)) {
             try {
-                CPU.step();
+                this.stepInstruction();
+                if (this.checkWatchpoint()) { this.pauseAt(); return; }
                 this.updateDebug();
                 this.updateLineNumbers(true);
-                if (CPU.halted) { this.stop(); return; }
+                if (CPU.isStopped()) { this.stop(); return; }
             } catch (e) {
                 this.stop();
                 console.error(e);
@@ -2653,26 +5523,20 @@ const Main = {
             }
         }
 
+        // T-states the CPU may still run before it catches up with the wall clock.
+        // Instructions that overshoot the budget carry a negative balance into the next tick.
+        let budget = 0;
         const runLoop = () => {
             const idx = parseInt(document.getElementById('clock-speed').value);
             const speed = this.SPEED_LEVELS[idx] || 1000;
             const isTurbo = (idx === this.SPEED_LEVELS.length - 1);
 
-            let batch = 1;
-            let interval = 1000 / speed;
+            const interval = 10; // ~100Hz refresh, batching overcomes browser timer limits
+            budget += isTurbo ? 400000 : speed * interval / 1000; // Large batch for max speed
 
-            // For high speeds, use batching to overcome browser timer limits
-            if (speed >= 100) {
-                interval = 10; // ~100Hz refresh
-                batch = Math.round(speed / 100);
-            }
-            if (isTurbo) {
-                batch = 50000; // Large batch for max speed
-            }
-            if (batch < 1) batch = 1;
-
-            for (let i = 0; i < batch; i++) {
-                if (CPU.halted) break;
+            while (budget > 0) {
+                // A HALT with interrupts enabled keeps running until a device wakes it
+                if (CPU.isStopped()) break;
 
 
 
@@ -2680,18 +5544,26 @@ const Main = {
                     if (Main.logEnabled) console.log(`PC Trace: ${DISASM.hex(CPU.reg.PC, 4)}`);
                 }
 
+                if (until && until()) {
+                    this.stop();
+                    this.updateStatus('STEPPED');
+                    return;
+                }
+
                 // Check Breakpoints
-                const line = ASM.sourceMap[CPU.reg.PC];
-                if (this.breakpoints.has(line)) {
+                const bp = this.breakpoints.check(CPU, ASM.sourceMap[CPU.reg.PC], ASM.fileMap[CPU.reg.PC]);
+                if (bp) {
                     this.stop();
-                    document.getElementById('status-bar').innerText = `Breakpoint at line ${line}`;
+                    document.getElementById('status-bar').innerText = this.breakpointMessage(bp);
                     this.updateStatus('PAUSED');
+                    this.renderBreakpoints();
                     return;
                 }
 
                 try {
-                    CPU.step();
+                    budget -= this.stepInstruction();
                     steps++;
+                    if (this.checkWatchpoint()) { this.pauseAt(); return; }
                 } catch (e) {
                     this.stop();
                     console.error(e);
@@ -2700,7 +5572,7 @@ const Main = {
                 }
             }
 
-            if (!CPU.halted) this.timer = setTimeout(runLoop, interval);
+            if (!CPU.isStopped()) this.timer = setTimeout(runLoop, interval);
             else this.stop(); // Ensure UI updates on Halt
         };
         runLoop();
@@ -2713,7 +5585,13 @@ const Main = {
         this.perfTimer = null;
         this.perfTimer = null;
         // CPU.halted = true; // Incorrect: Do not force CPU Halt on UI Stop.
-        document.getElementById('btn-step').disabled = false;
+        ['btn-step', 'btn-step-over', 'btn-step-out'].forEach(id => document.getElementById(id).disabled = false);
+        if (this.cursorBp) {
+            // Run to Cursor ended some other way; drop its temporary breakpoint
+            this.breakpoints.remove(this.cursorBp.id);
+            this.cursorBp = null;
+            this.renderBreakpoints();
+        }
         this.updateDebug();
         this.updateLineNumbers(true); // Ensure final state is visible
         this.updateStatus('STOPPED');
@@ -2725,21 +5603,128 @@ const Main = {
         this.stop();
         CPU.reset();
         MEM.reset();
+        HIST.clear();
+        MemoryEditor.mark();
+        this.breakpoints.resetHits();
+        this.watchpoints.resetHits();
+        this.renderBreakpoints();
         this.updateDebug();
         this.updateLineNumbers();
         this.updateStatus('RESET');
     },
 
+    STATE_VERSION: 1,
+
+    /**
+     * Snapshot the whole machine: CPU, 64 KB memory, board peripherals and the editor source.
+     * @returns {object} JSON-serialisable state accepted by loadState().
+     */
+    saveState() {
+        Project.update();
+        return {
+            version: this.STATE_VERSION,
+            cpu: CPU.getState(),
+            memory: MEM.getState(),
+            hardware: Hardware.getState(),
+            source: Project.files[Project.main],
+            project: Project.getState()
+        };
+    },
+
+    // Throw unless every part of a state can be applied, so a bad file leaves the machine as it was
+    checkState(state) {
+        const fail = (part) => { throw new Error(`Invalid state: ${part}`); };
+        const isObj = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+        const isBytes = (v, n) => Array.isArray(v) && v.length === n && v.every(b => Number.isInteger(b) && b >= 0 && b <= 0xFF);
+        const decode = (b64, part) => { try { return atob(b64); } catch (e) { return fail(part); } };
+
+        if (typeof state.memory !== 'string' || decode(state.memory, 'memory').length !== 0x10000) fail('memory');
+
+        const inRange = (v, max) => Number.isInteger(v) && v >= 0 && v <= max;
+        const R8 = ['A', 'F', 'B', 'C', 'D', 'E', 'H', 'L'];
+        const c = state.cpu;
+        if (!isObj(c) || !isObj(c.reg) || !isObj(c.reg_prime) || !Number.isFinite(c.cycles)) fail('cpu');
+        // Every register must be present: setState merges, so a missing one would silently keep its old value
+        if (![...R8, 'I', 'R'].every(k => inRange(c.reg[k], 0xFF)) || !['PC', 'SP', 'IX', 'IY'].every(k => inRange(c.reg[k], 0xFFFF)) ||
+            !R8.every(k => inRange(c.reg_prime[k], 0xFF))) fail('cpu registers');
+        if (!inRange(c.iff1, 1) || !inRange(c.iff2, 1) || !inRange(c.im, 2) || !inRange(c.interruptData, 0xFF)) fail('cpu interrupt state');
+        if (![c.halted, c.interruptPending, c.nmiPending, c.eiDelay].every(v => typeof v === 'boolean')) fail('cpu flags');
+        if (c.callStack !== undefined && !(Array.isArray(c.callStack) && c.callStack.every(f => isObj(f) && typeof f.type === 'string' &&
+            ['from', 'target', 'ret', 'sp'].every(k => inRange(f[k], 0xFFFF))))) fail('cpu call stack');
+
+        const h = state.hardware;
+        if (!isObj(h) || !isBytes([h.leds, h.buzzer], 2) || !isBytes(h.seg, 8) || !isBytes(h.matrix, 32)) fail('hardware latches');
+        if (!isObj(h.lcd) || !Array.isArray(h.lcd.lines) || !h.lcd.lines.every(l => typeof l === 'string') || !isObj(h.lcd.cursor)) fail('hardware LCD');
+        if (!Array.isArray(h.dips) || h.dips.length !== 8 || !isObj(h.intVectors)) fail('hardware inputs');
+
+        const p = state.project;
+        if (p !== undefined) {
+            if (!isObj(p) || !isObj(p.files) || !Object.keys(p.files).length) fail('project has no files');
+            if (!Object.values(p.files).every(f => typeof f === 'string')) fail('project files');
+            if (p.assets !== undefined && !isObj(p.assets)) fail('project assets');
+            for (const name in p.assets || {}) {
+                if (typeof p.assets[name] !== 'string') fail(`asset ${name}`);
+                decode(p.assets[name], `asset ${name}`);
+            }
+        } else if (state.source !== undefined && typeof state.source !== 'string') fail('source');
+    },
+
+    /**
+     * Restore a snapshot taken by saveState(). Stops execution first.
+     * @param {object|string} state - State object or its JSON text.
+     */
+    loadState(state) {
+        if (typeof state === 'string') state = JSON.parse(state);
+        if (!state || state.version !== this.STATE_VERSION) throw new Error('Unsupported state format');
+        this.checkState(state);
+
+        this.stop();
+        MEM.setState(state.memory);
+        CPU.setState(state.cpu);
+        Hardware.setState(state.hardware);
+        HIST.clear();
+        COV.clear();
+        PROF.clear();
+        MemoryEditor.mark();
+        this.watchpoints.hit = null;
+
+        if (state.project || typeof state.source === 'string') {
+            if (state.project) {
+                Project.setState(state.project);
+                Editor.switchTo(Project.files[Project.active]);
+                Project.saveAssets();
+            } else { // Older states carry only the single source
+                Project.open(Project.main);
+                Editor.setValue(state.source);
+            }
+            const src = Project.key();
+            Project.renderTabs();
+            // Only rebuild the source map; memory already holds the saved image
+            try { this.assembleProject(); } catch (e) { console.warn('State source does not assemble:', e.message); }
+            this.lastAssembledSource = src;
+        }
+        this.updateDebug();
+        this.updateLineNumbers(true);
+    },
+
     /**
      * Run simulation in headless mode for automated testing.
      * @param {string} sourceCode - Z80 assembly source code.
-     * @param {number} maxCycles - Maximum cycles to execute (safety limit).
-     * @returns {object} Result of the run.
+     * @param {number} maxCycles - Maximum T-states to execute (safety limit).
+     * @param {object} options - { breakpoints: [{ addr, line, condition, hitCount }],
+     *                            watchpoints: [{ type, access, start, end, port, value }] } stop the run early;
+     *                            coverage: true adds a coverage report (see Coverage.report()) to the result;
+     *                            defines: { NAME: value } predefines symbols for IF / IFDEF;
+     *                            files: { name: text or bytes } for INCLUDE / INCBIN (breakpoints take a file for their lines).
+     * @returns {object} Result of the run. diagnostics lists every assembler error and warning
+     *   ({ severity, file, line, column, message }), also when assembly fails.
      */
-    runHeadless(sourceCode, maxCycles = 100000) {
+    runHeadless(sourceCode, maxCycles = 1000000, options = {}) {
         // 1. Assemble
+        const bpm = new BreakpointManager(() => ASM.labels);
+        const wpm = new WatchpointManager(CPU, MEM, IO);
         try {
-            const bin = ASM.assemble(sourceCode);
+            const bin = ASM.assemble(sourceCode, options.defines || {}, options.files || {});
             MEM.reset();
             MEM.load(0, bin);
             CPU.reset();
@@ -2748,13 +5733,28 @@ const Main = {
                 success: false,
                 halted: false,
                 cycles: 0,
+                instructions: 0,
                 ports: {},
-                error: "Assemble Error: " + e.message
+                breakpoint: null,
+                watchpoint: null,
+                error: "Assemble Error: " + e.message,
+                diagnostics: ASM.diagnostics
             };
         }
+        try {
+            (options.breakpoints || []).forEach(spec => bpm.add(spec));
+        } catch (e) {
+            return { success: false, halted: false, cycles: 0, instructions: 0, ports: {}, breakpoint: null, watchpoint: null, error: "Breakpoint Error: " + e.message, diagnostics: ASM.diagnostics };
+        }
+        try {
+            (options.watchpoints || []).forEach(spec => wpm.add(spec));
+        } catch (e) {
+            this.watchpoints.sync(); // Give the buses back to the IDE's watchpoints
+            return { success: false, halted: false, cycles: 0, instructions: 0, ports: {}, breakpoint: null, watchpoint: null, error: "Watchpoint Error: " + e.message, diagnostics: ASM.diagnostics };
+        }
 
         // 2. Run
-        let cycles = 0;
+        let instructions = 0;
         let error = null;
         const capturedPorts = { 0x00: 0, 0x10: 0, 0x17: 0 }; // Default verify ports
 
@@ -2765,25 +5765,46 @@ const Main = {
             originalOut.call(IO, port, value);
         };
 
+        let breakpoint = null;
+        let watchpoint = null;
+        const ideCoverage = CPU.coverage;
+        const cov = options.coverage ? new Coverage() : null;
+        CPU.coverage = cov;
         try {
-            while (!CPU.halted && cycles < maxCycles) {
-                CPU.step();
-                cycles++;
+            while (!CPU.halted && CPU.cycles < maxCycles) {
+                breakpoint = bpm.check(CPU, ASM.sourceMap[CPU.reg.PC], ASM.fileMap[CPU.reg.PC]);
+                if (breakpoint) break;
+                wpm.watch(() => CPU.step()); // Armed for the instruction only, not for breakpoint conditions
+                instructions++;
+                if (wpm.hit) {
+                    const h = wpm.hit;
+                    watchpoint = { id: h.wp.id, kind: h.kind, addr: h.addr, old: h.old, new: h.new, pc: h.pc };
+                    break;
+                }
             }
         } catch (e) {
             error = "Runtime Error: " + e.message;
         } finally {
             IO.out = originalOut; // Restore
+            CPU.coverage = ideCoverage;
+            wpm.clear();
+            this.watchpoints.sync();
         }
 
         // 3. Result
-        return {
+        const result = {
             success: !error && CPU.halted, // Success implies clean Halt
             halted: CPU.halted,
-            cycles: cycles,
+            cycles: CPU.cycles,
+            instructions: instructions,
             ports: capturedPorts,
-            error: error
+            breakpoint: breakpoint && { id: breakpoint.id, pc: CPU.reg.PC, line: ASM.sourceMap[CPU.reg.PC] || null, file: ASM.fileMap[CPU.reg.PC] || '', hits: breakpoint.hits },
+            watchpoint: watchpoint,
+            error: error,
+            diagnostics: ASM.diagnostics
         };
+        if (cov) result.coverage = cov.report(ASM, MEM);
+        return result;
     },
 
     updateDebug() {
@@ -2827,6 +5848,8 @@ const Main = {
         set('reg-sp', fmt16(reg.SP));
         set('reg-ix', fmt16(reg.IX));
         set('reg-iy', fmt16(reg.IY));
+        set('reg-i', fmt8(reg.I));
+        set('reg-r', fmt8(reg.R));
 
         // Shadow Registers
         const regP = CPU.reg_prime;
@@ -2837,14 +5860,194 @@ const Main = {
 
         // Flags
         const f = reg.F;
-        const flags =
-            (f & 0x80 ? 'S' : '-') + (f & 0x40 ? 'Z' : '-') + (f & 0x20 ? 'Y' : '-') + (f & 0x10 ? 'H' : '-') +
-            (f & 0x08 ? 'X' : '-') + (f & 0x04 ? 'P' : '-') + (f & 0x02 ? 'N' : '-') + (f & 0x01 ? 'C' : '-');
-        set('reg-flags', flags);
+        // One clickable element per bit, S (bit 7) first
+        const flagsEl = document.getElementById('reg-flags');
+        if (flagsEl) flagsEl.innerHTML = [...'SZYHXPNC'].map((n, i) =>
+            `<i class="flag-bit" data-bit="${7 - i}" title="Toggle ${n}">${f & (0x80 >> i) ? n : '-'}</i>`).join('');
+
+        set('reg-iff1', CPU.iff1);
+        set('reg-iff2', CPU.iff2);
+        set('reg-im', CPU.im);
 
         // Disassembly
-        document.getElementById('disasm-view').innerHTML = DISASM.getLines(reg.PC, MEM, 6);
+        DisasmView.render();
         this.updateMemView();
+        this.renderCallStack();
+        this.renderTrace();
+        this.renderCoverage();
+        this.renderProfile();
+    },
+
+    setTraceEnabled(on) {
+        this.applyTraceFilter();
+        TRACE.enabled = on;
+    },
+
+    // Address range (hex or labels, empty = whole memory) and instruction class to record
+    applyTraceFilter() {
+        try {
+            const from = document.getElementById('trace-from').value.trim();
+            const to = document.getElementById('trace-to').value.trim();
+            TRACE.filter = {
+                from: from ? MemoryEditor.parse(from) & 0xFFFF : 0,
+                to: to ? MemoryEditor.parse(to) & 0xFFFF : 0xFFFF,
+                only: document.getElementById('trace-only').value
+            };
+        } catch (e) {
+            document.getElementById('status-bar').innerText = `Trace Filter Error: ${e.message}`;
+        }
+    },
+
+    clearTrace() {
+        TRACE.clear();
+        this.renderTrace();
+    },
+
+    // Newest 200 entries; the full trace is in the export
+    renderTrace() {
+        const el = document.getElementById('trace-view');
+        if (!el) return;
+        const rows = TRACE.entries(200).map(e => `<div>${this.escapeHtml(TraceRecorder.formatText(e))}</div>`);
+        el.innerHTML = rows.join('') || `<div style="color:#666">${TRACE.enabled ? 'No instructions recorded' : 'Tick Record to trace execution'}</div>`;
+        el.scrollTop = el.scrollHeight;
+    },
+
+    exportTrace(format) {
+        const csv = format === 'csv';
+        const blob = new Blob([csv ? TRACE.toCSV() : TRACE.toText()], { type: csv ? 'text/csv' : 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = csv ? 'trace.csv' : 'trace.txt';
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
+    setCoverageEnabled(on) {
+        CPU.coverage = on ? COV : null;
+        this.updateDebug();
+        this.updateLineNumbers();
+    },
+
+    clearCoverage() {
+        COV.clear();
+        this.updateDebug();
+        this.updateLineNumbers();
+    },
+
+    // Per-label summary; line colours are drawn by updateLineNumbers()
+    renderCoverage() {
+        const el = document.getElementById('coverage-view');
+        if (!el) return;
+        if (!CPU.coverage) {
+            el.innerHTML = '<div style="color:#666">Tick Record to collect coverage</div>';
+            return;
+        }
+        const r = COV.report(ASM, MEM);
+        const pct = (n, d) => d ? `${Math.round(n * 100 / d)}%` : '-';
+        const br = (n, d) => d ? `  branches ${n}/${d}` : '';
+        const rows = [`<div>Total: ${r.instructions.executed}/${r.instructions.total} (${pct(r.instructions.executed, r.instructions.total)})${br(r.branches.both, r.branches.total)}</div>`];
+        r.labels.forEach(l => {
+            const line = ASM.sourceMap[l.addr];
+            rows.push(`<div class="cs-row"${line ? ` onclick="Main.gotoAddr(${l.addr})"` : ''}>` +
+                `${this.escapeHtml(l.label.padEnd(12))} ${String(l.executed).padStart(4)}/${String(l.total).padEnd(4)} ` +
+                `${pct(l.executed, l.total).padStart(4)}${br(l.branchesBoth, l.branches)}</div>`);
+        });
+        el.innerHTML = rows.join('');
+    },
+
+    // Full report (per-label totals and per-line status) as JSON
+    exportCoverage() {
+        const blob = new Blob([JSON.stringify(COV.report(ASM, MEM), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'coverage.json';
+        a.click();
+        URL.revokeObjectURL(url);
+    },
+
+    setProfilerEnabled(on) {
+        PROF.enabled = on;
+        this.updateDebug();
+        this.updateLineNumbers();
+    },
+
+    clearProfile() {
+        PROF.clear();
+        this.updateDebug();
+        this.updateLineNumbers();
+    },
+
+    profileSort: 'exclusive',
+
+    // Clicking the current column again flips between descending and ascending
+    sortProfile(key) {
+        this.profileSort = this.profileSort === key ? `-${key}` : key;
+        this.renderProfile();
+    },
+
+    renderProfile() {
+        const el = document.getElementById('profile-view');
+        if (!el) return;
+        if (!PROF.enabled && !PROF.total) {
+            el.innerHTML = '<div style="color:#666">Tick Record to profile execution</div>';
+            return;
+        }
+        const key = this.profileSort.replace('-', '');
+        const dir = this.profileSort[0] === '-' ? -1 : 1;
+        const rows = PROF.report(DISASM.codeLabels(ASM)).sort((a, b) =>
+            key === 'label' ? dir * a.label.localeCompare(b.label) : dir * (b[key] - a[key]));
+        const pct = (n) => PROF.total ? `${(n * 100 / PROF.total).toFixed(1)}%` : '-';
+        const cols = [['label', 'Routine'], ['calls', 'Calls'], ['instructions', 'Instr'], ['exclusive', 'Excl T'], ['inclusive', 'Incl T']];
+        const head = cols.map(([k, name]) => `<th onclick="Main.sortProfile('${k}')">${name}${k === key ? (dir > 0 ? ' \u25BC' : ' \u25B2') : ''}</th>`).join('');
+        const body = rows.map(r => {
+            const line = ASM.sourceMap[r.addr];
+            return `<tr${line ? ` onclick="Main.gotoAddr(${r.addr})"` : ''}><td>${this.escapeHtml(r.label)}</td><td>${r.calls}</td>` +
+                `<td>${r.instructions}</td><td>${r.exclusive} (${pct(r.exclusive)})</td><td>${r.inclusive} (${pct(r.inclusive)})</td></tr>`;
+        }).join('');
+        el.innerHTML = `<table class="profile-table"><tr>${head}</tr>${body}</table>`;
+    },
+
+    // Shadow call stack, innermost frame first. Frames whose real stack no longer matches are flagged.
+    renderCallStack() {
+        const el = document.getElementById('call-stack');
+        if (!el) return;
+        const hex = (n) => DISASM.hex(n, 4);
+        const labels = DISASM.codeLabels(ASM);
+        const sym = (a) => DISASM.symbolize(a, labels) || '';
+        const rows = CPU.callStack.slice().reverse().map(f => {
+            const issues = [];
+            if (CPU.reg.SP > f.sp) issues.push('return address already popped');
+            else if ((MEM.read(f.sp) | (MEM.read(f.sp + 1) << 8)) !== f.ret) issues.push('return address overwritten');
+            if (f.diverged) issues.push(f.diverged);
+            const line = this.describeLine(f.from);
+            const title = this.escapeHtml(issues.join('; ') || `${f.type.toUpperCase()} from ${hex(f.from)}, return address at SP ${hex(f.sp)}`);
+            return `<div class="cs-row${issues.length ? ' diverged' : ''}" title="${title}"` +
+                (line ? ` onclick="Main.gotoAddr(${f.from})"` : '') + `>` +
+                `${issues.length ? '! ' : ''}${this.escapeHtml(sym(f.target) || hex(f.target))} <span class="cs-ret">` +
+                `&larr; ${hex(f.ret)} ${this.escapeHtml(sym(f.ret))}${line ? ` (${line})` : ''}</span></div>`;
+        });
+        el.innerHTML = rows.join('') || '<div style="color:#666">Empty</div>';
+    },
+
+    // Open the file holding the source of addr and select its line
+    gotoAddr(addr) {
+        if (ASM.sourceMap[addr] === undefined) return;
+        Project.open(ASM.fileMap[addr]);
+        this.gotoLine(ASM.sourceMap[addr]);
+    },
+
+    // Select a source line in the editor (or put the caret at a 1-based column) and scroll it into view
+    gotoLine(line, column = 0) {
+        const editor = document.getElementById('source-code');
+        const lines = editor.value.split('\n');
+        const start = lines.slice(0, line - 1).reduce((n, l) => n + l.length + 1, 0);
+        editor.focus();
+        if (column) editor.setSelectionRange(start + column - 1, start + column - 1);
+        else editor.setSelectionRange(start, start + (lines[line - 1] || '').length);
+        const el = document.getElementById('line-numbers').children[line - 1];
+        if (el) editor.scrollTop = el.offsetTop - editor.clientHeight / 2;
     },
 
     copyDebugInfo() {
@@ -2870,7 +6073,10 @@ DE': ${toHex16((regP.D << 8) | regP.E)}
 HL': ${toHex16((regP.H << 8) | regP.L)}
 PC: ${toHex16(reg.PC)}  SP: ${toHex16(reg.SP)}
 IX: ${toHex16(reg.IX)}  IY: ${toHex16(reg.IY)}
-Flags: ${flags}`;
+I: ${toHex8(reg.I)}  R: ${toHex8(reg.R)}
+IFF1: ${CPU.iff1}  IFF2: ${CPU.iff2}  IM: ${CPU.im}
+Flags: ${flags}
+T-states: ${CPU.cycles}`;
 
         navigator.clipboard.writeText(info).then(() => {
             const btn = document.querySelector('button[onclick="Main.copyDebugInfo()"]');
@@ -2884,23 +6090,7 @@ Flags: ${flags}`;
     },
 
     updateMemView() {
-        const el = document.getElementById('mem-addr-input');
-        if (!el) return;
-        if (this.dumped) return;
-        const start = 0x01D0; // DIV_10
-        const end = 0x01E0;
-        let addr = parseInt(el.value, 16) || 0;
-        let html = '';
-        for (let i = 0; i < 4; i++) { // 4 lines
-            const currentAddr = addr & 0xFFFF;
-            let row = DISASM.hex(currentAddr, 4) + ': ';
-            for (let j = 0; j < 16; j++) { // 16 bytes per line
-                row += DISASM.hex(MEM.read((currentAddr + j) & 0xFFFF), 2) + ' ';
-            }
-            html += `<div>${row}</div>`;
-            addr += 16;
-        }
-        document.getElementById('mem-view').innerHTML = html;
+        MemoryEditor.render();
     },
     dumpMemory() {
         let content = "--- MEMORY DUMP ---\n";
@@ -2956,48 +6146,31 @@ Flags: ${flags}`;
         URL.revokeObjectURL(url);
     },
 
+    // Export memory as re-assemblable source (code traced from reset/vectors/labels, the rest as data)
     dumpDisasm() {
-        let content = "--- DISASSEMBLY DUMP ---\n";
-        let addr = 0;
-        const limit = 0x10000; // Full 64KB
-
-        let nopStart = -1;
-
-        while (addr < limit) {
-            const d = DISASM.decode(addr, MEM);
+        const result = DISASM.exportSource(MEM, ASM);
 
-            // Check for NOP (0x00)
-            if (d.bytes === '00') {
-                if (nopStart === -1) nopStart = addr;
-            } else {
-                // Flush NOPs if any
-                if (nopStart !== -1) {
-                    const count = addr - nopStart;
-                    if (count > 15) {
-                        content += `${DISASM.hex(nopStart, 4)} - ${DISASM.hex(addr - 1, 4)} : ... (Skipped ${count} NOPs)\n`;
-                    } else {
-                        content += `${DISASM.hex(nopStart, 4)}: 00       NOP\n`;
-                    }
-                    nopStart = -1;
+        // Prove the round trip before handing the file over
+        let status = 'round-trip OK';
+        try {
+            const bin = new Assembler().assemble(result.text);
+            for (let a = 0; a < result.end; a++) {
+                if ((bin[a] || 0) !== MEM.read(a)) {
+                    status = `round-trip MISMATCH at ${DISASM.hex(a, 4)}`;
+                    break;
                 }
-
-                // Print current instruction
-                content += `${DISASM.hex(addr, 4)}: ${d.bytes.padEnd(8)} ${d.txt}\n`;
             }
-
-            addr += d.len;
-        }
-
-        // Final flush
-        if (nopStart !== -1) {
-            content += `${DISASM.hex(nopStart, 4)} - ${DISASM.hex(limit - 1, 4)} : ... (Skipped ${limit - nopStart} NOPs)\n`;
+        } catch (e) {
+            status = `does not re-assemble: ${e.message}`;
         }
+        document.getElementById('status-bar').innerText =
+            `Disassembly: ${result.instructions} instructions, ${result.dataBytes} data bytes, ${status}`;
 
-        const blob = new Blob([content], { type: 'text/plain' });
+        const blob = new Blob([result.text], { type: 'text/plain' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = 'disassembly_dump.txt';
+        a.download = 'disassembly.asm';
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);